@@ -3,20 +3,63 @@
 
 import etch from "etch";
 import { CompositeDisposable, Emitter, Disposable } from "atom";
+import { promises as fs } from "fs";
+import path from "path";
 import ClaudeConnection from "./claude-connection";
+import DiffReview, { isReviewable, locateEdits, openDiffView } from "./diff-review";
+import {
+  addRule,
+  describeRule,
+  findMatchingRule,
+  formatRule,
+  suggestionsToRules,
+} from "./permission-rules";
 import Config from "./utils/config";
 import {
   renderMessages,
   renderStreamingMessage,
   renderWelcomePage,
 } from "./message-renderer";
-import { saveSession, deleteSession } from "./session-store";
+import { saveSession, deleteSession, moveSession, onDidMoveSession } from "./session-store";
+import { promptForText } from "./components/input-dialog";
+import { EXPORT_FORMATS, exportConversation, resultToText } from "./exporter";
+import { findTextRanges, rangeRects } from "./utils/dom-find";
+import { joinPath, getBaseName, getRelativePath } from "./utils/paths";
+import { detachTail, restoreTail, switchBranch, getResumePoint } from "./utils/branches";
+import {
+  EDIT_TOOL_NAMES,
+  createCheckpointId,
+  getEditedPath,
+  loadCheckpoint,
+  moveCheckpoints,
+  readFileState,
+  recordTurnResult,
+  restoreCheckpoints,
+  snapshotFile,
+} from "./checkpoints";
+import { stageFiles } from "./utils/git";
+import { generateTitle } from "./title-generator";
+import {
+  addCost,
+  addTokens,
+  createUsage,
+  formatCost,
+  getContextTokens,
+  getContextWindow,
+  getDayKey,
+  getExceededBudgets,
+  getProjectSpendByDay,
+  normalizeUsage,
+} from "./cost-tracker";
 import { createLogger } from "./utils/log";
 
 const log = createLogger("ChatPanel");
 
 const URI_PREFIX = "atom://claude-chat";
 
+// Thinking budget used when a chat turns thinking on and the config has none
+const DEFAULT_THINKING_BUDGET = 10000;
+
 export default class ChatPanel {
   static URI_PREFIX = URI_PREFIX;
 
@@ -35,17 +78,66 @@ export default class ChatPanel {
     }
     this.isLoading = false;
 
+    // A prompt is waiting for the budget check before it goes out
+    this.isSending = false;
+
     // Permission mode for this chat - use config helper
     this.permissionMode = props.permissionMode || Config.permissionMode();
 
+    // Model for this chat (alias or full model ID)
+    this.model = props.model || Config.model();
+
+    // Extended thinking token budget for this chat (0 = off)
+    this.thinkingBudget = props.thinkingBudget ?? Config.thinkingBudget();
+
     // Session metadata
     this.projectPaths = props.projectPaths || atom.project.getPaths();
     this.createdAt = props.createdAt || new Date().toISOString();
-    this.tokenUsage = props.tokenUsage || { input: 0, output: 0 };
+    this.tokenUsage = normalizeUsage(props.tokenUsage);
+
+    // Today's spend of this project's other chats (for the daily budget)
+    this.otherProjectSpendToday = 0;
+
+    // Context size of the latest API message, and the highest context
+    // threshold already alerted ("warning" or "compact")
+    this.contextTokens = props.contextTokens || 0;
+    this.contextAlert = null;
+
+    // Session file the chat was last saved as (the CLI may switch sessions)
+    this.savedSessionId = this.sessionId;
+
+    // Forked chats remember their origin
+    this.parentSessionId = props.parentSessionId || null;
+
+    // Where the CLI has to pick up the conversation on its next start, when
+    // that isn't simply the end of this.sessionId (forks, edits, regenerates):
+    // { sessionId, resumeAt, fork }
+    this.pendingResume = props.fork ? { ...props.fork, fork: true } : null;
+
+    // Resume point reported before the message it belongs to was added
+    this.pendingResumePoint = null;
+
+    // Branch started by an edit, until its first message arrives
+    // ({ index, detached } - see utils/branches)
+    this.pendingBranch = null;
+
+    // Tab title: custom name (claude-chat:rename) > generated title > first prompt
+    this.title = props.title || null;
+    this.summary = props.summary || null;
+    this.lastTitle = null;
+    this.titleRequested = false;
+
+    // Prompts typed while Claude is busy, sent in order once the turn ends.
+    // A restored queue stays paused until the user resumes it.
+    this.messageQueue = props.queuedMessages || [];
+    this.queuePaused = this.messageQueue.length > 0;
+    this.editingQueueId = null;
 
     // Streaming state
     this.currentText = "";
     this.pendingDelta = "";
+    this.currentThinking = "";
+    this.pendingThinking = "";
     this.updateScheduled = false;
 
     // Attach context (selection, file, or paths from tree-view)
@@ -54,14 +146,32 @@ export default class ChatPanel {
     // Default collapsed state for tools (null = per-type default, true/false = override all)
     this.defaultToolCollapsed = null;
 
-    // Pending permission request (for accept/deny UI)
-    this.pendingPermission = null;
+    // Slash commands the CLI reported on start (see slash-commands.js)
+    this.slashCommands = [];
+
+    // Pending permission requests, answered in arrival order (for accept/deny UI)
+    this.permissionQueue = [];
+
+    // File states read while the CLI held a tool, by tool use ID (see snapshotHeldTool)
+    this.heldToolStates = new Map();
+
+    // Tool whose input is being streamed, and the timer ticking running tools
+    this.preparingTool = null;
+    this.toolTimer = null;
+
+    // Open diff review for the pending Edit/Write permission request
+    this.permissionReview = null;
+
+    // Inline denial reason input for the current permission request
+    this.isDenyingWithReason = false;
+
+    // In-panel find (ctrl-f): matches are DOM Ranges, highlighted in an overlay
+    this.isFindVisible = false;
+    this.findMatches = [];
+    this.findIndex = 0;
 
     // Create connection
-    this.connection = new ClaudeConnection({
-      sessionId: this.sessionId,
-      permissionMode: this.permissionMode,
-    });
+    this.connection = new ClaudeConnection(this.getConnectionOptions());
 
     this.emitter = new Emitter();
     this.disposables = new CompositeDisposable();
@@ -69,7 +179,18 @@ export default class ChatPanel {
     // Tool handlers for renderers
     this.toolHandlers = {
       toggle: (id) => this.toggleToolCollapse(id),
+      expandFold: (id, key) => this.expandDiffFold(id, key),
       openFile: (filePath, line) => this.handleOpenFile(filePath, line),
+      projectPaths: () => this.projectPaths,
+      isToolRunning: (msg) => this.isToolRunning(msg),
+      isAwaitingPermission: (id) => this.permissionQueue.some((r) => r.toolUseId === id),
+      fork: (index) => this.handleFork(index),
+      edit: (index) => this.handleEditMessage(index),
+      switchBranch: (index, target) => this.handleSwitchBranch(index, target),
+      revertTurn: (index) => this.handleRevert(index, false),
+      revertToHere: (index) => this.handleRevert(index, true),
+      openTurnDiff: (index, filePath) => this.openTurnDiff(index, filePath),
+      stageTurn: (index) => this.handleStageTurn(index),
     };
 
     this.tooltipDisposables = new CompositeDisposable();
@@ -80,11 +201,32 @@ export default class ChatPanel {
     this.setupCommands();
     this.setupPaneObserver();
 
+    // Keep a fork pointing at its parent when the parent moves to another session
+    this.disposables.add(
+      onDidMoveSession(({ fromSessionId, toSessionId }) => {
+        if (this.parentSessionId === fromSessionId) this.parentSessionId = toSessionId;
+      })
+    );
+
+    // Draft carried over from a fork
+    if (props.draft) {
+      this.promptEditor.setText(props.draft.text || "");
+      this.attachContext = props.draft.attach || null;
+    }
+
     // Initialize tooltips
     this.updateTooltips();
 
+    // Match rectangles move when the panel is resized
+    this.resizeObserver = new ResizeObserver(() => {
+      if (this.isFindVisible) this.drawFindMatches();
+    });
+    this.resizeObserver.observe(this.refs.messagesContainer);
+
     // Scroll to bottom for restored sessions
     requestAnimationFrame(() => this.scrollToBottom());
+
+    this.refreshProjectSpend();
   }
 
   // ============================================================================
@@ -108,21 +250,50 @@ export default class ChatPanel {
     if (this.connection.isRunning()) {
       this.connection.kill();
     }
+    this.permissionQueue = [];
+    this.closePermissionReview();
 
     this.connection.destroy();
-    this.connection = new ClaudeConnection({
-      sessionId: this.sessionId,
-      permissionMode: this.permissionMode,
-    });
+    this.connection = new ClaudeConnection(this.getConnectionOptions());
     this.setupConnection();
     etch.update(this);
   }
 
+  getConnectionOptions() {
+    const resume = this.pendingResume;
+    return {
+      sessionId: resume ? resume.sessionId : this.sessionId,
+      forkSession: !!resume?.fork,
+      resumeAt: resume?.resumeAt || null,
+      permissionMode: this.permissionMode,
+      model: this.model,
+      thinkingBudget: this.thinkingBudget,
+      // Held by a PreToolUse hook so their files can be snapshotted first
+      hookedTools: EDIT_TOOL_NAMES,
+    };
+  }
+
   /**
    * Add a message to the messages array
    */
   addMessage(role, content, extras = {}) {
-    const message = { role, content, ...extras };
+    return this.pushMessage({ role, content, ...extras });
+  }
+
+  /**
+   * Append a message, attaching a pending branch and resume point
+   */
+  pushMessage(message) {
+    if (this.pendingBranch && this.messages.length === this.pendingBranch.index) {
+      message.branches = this.pendingBranch.detached.data;
+      this.pendingBranch = null;
+    }
+    if (message.role === "user") {
+      this.pendingResumePoint = null;
+    } else if (this.pendingResumePoint) {
+      Object.assign(message, this.pendingResumePoint);
+      this.pendingResumePoint = null;
+    }
     this.messages.push(message);
     return message;
   }
@@ -207,11 +378,34 @@ export default class ChatPanel {
   setupConnection() {
     log.debug("Setting up connection handlers");
 
+    // CLI started
+    this.disposables.add(
+      this.connection.on("init", ({ slashCommands }) => {
+        this.slashCommands = slashCommands;
+      })
+    );
+
     // Session ID
     this.disposables.add(
       this.connection.on("session", (id) => {
         log.debug("Session received", id);
         this.sessionId = id;
+        this.pendingResume = null;
+      })
+    );
+
+    // Resume point: recorded on the latest response message, so edits,
+    // regenerates and forks can restart the CLI right after it
+    this.disposables.add(
+      this.connection.on("assistant-uuid", (uuid) => {
+        this.pendingResume = null;
+        const point = { resumeUuid: uuid, resumeSessionId: this.sessionId };
+        const last = this.messages[this.messages.length - 1];
+        if (last && last.role !== "user") {
+          Object.assign(last, point);
+        } else {
+          this.pendingResumePoint = point;
+        }
       })
     );
 
@@ -235,22 +429,64 @@ export default class ChatPanel {
     // Streaming text - throttled via requestAnimationFrame
     this.disposables.add(
       this.connection.on("delta", (text) => {
+        if (this.currentThinking || this.pendingThinking) this.finalizeThinking();
         this.pendingDelta += text;
         this.scheduleUpdate();
       })
     );
 
+    // Streaming thinking - throttled like text
+    this.disposables.add(
+      this.connection.on("thinking-delta", (text) => {
+        this.pendingThinking += text;
+        this.scheduleUpdate();
+      })
+    );
+
+    // Complete thinking block
+    this.disposables.add(
+      this.connection.on("assistant-thinking", (text) => {
+        this.finalizeThinking(text);
+        this.updateAndMaybeScroll();
+      })
+    );
+
     // Full text from assistant event (when streaming not available)
     this.disposables.add(
       this.connection.on("assistant-text", (text) => {
+        // Replaces the streamed text, including deltas not rendered yet
         this.currentText = text;
+        this.pendingDelta = "";
         this.updateAndMaybeScroll();
       })
     );
 
+    // Tool input started streaming
+    this.disposables.add(
+      this.connection.on("tool-start", ({ name }) => {
+        this.preparingTool = name;
+        etch.update(this);
+      })
+    );
+
+    // File-changing tool about to run (answered by the connection after this)
+    this.disposables.add(
+      this.connection.on("pre-tool-use", ({ toolUseId, toolName, input }) => {
+        this.snapshotHeldTool(toolUseId, toolName, input);
+      })
+    );
+
     // Tool use
     this.disposables.add(
       this.connection.on("tool-use", ({ id, name, input }) => {
+        // The CLI holds the tool until its PreToolUse hook is answered, so the
+        // file is unchanged here unless the hook came first and kept its state
+        const before = this.heldToolStates.get(id) || this.readEditedFile(name, input);
+        this.heldToolStates.delete(id);
+        this.snapshotForTool(name, input, before);
+        this.preparingTool = null;
+        this.finalizeThinking();
+
         // Finalize any pending text before adding tool
         if (this.currentText) {
           this.addMessage("assistant", this.currentText);
@@ -261,14 +497,17 @@ export default class ChatPanel {
           this.defaultToolCollapsed !== null
             ? this.defaultToolCollapsed
             : name !== "TodoWrite";
-        this.messages.push({
+        this.pushMessage({
           role: "tool",
           id,
           name,
           input,
           result: null,
           collapsed,
+          editLines: this.locateEditLines(name, input, before),
+          startedAt: Date.now(),
         });
+        this.updateToolTimer();
         this.updateAndMaybeScroll();
       })
     );
@@ -282,6 +521,8 @@ export default class ChatPanel {
         if (toolMsg) {
           toolMsg.result = content;
           toolMsg.isError = isError;
+          if (toolMsg.startedAt) toolMsg.duration = Date.now() - toolMsg.startedAt;
+          this.updateToolTimer();
           this.updateAndMaybeScroll();
         }
       })
@@ -291,6 +532,7 @@ export default class ChatPanel {
     this.disposables.add(
       this.connection.on("result", (resultText) => {
         log.debug("Response complete", { textLength: this.currentText?.length || resultText?.length || 0 });
+        this.finalizeThinking();
         const finalText = this.currentText || resultText;
         if (finalText) {
           const message = this.addMessage("assistant", finalText);
@@ -298,24 +540,71 @@ export default class ChatPanel {
           this.emitter.emit("did-receive-message", message);
         }
         this.isLoading = false;
+        this.finishTurn();
         this.updateAndMaybeScroll();
+        this.sendNextQueued();
+        this.requestTitle();
       })
     );
 
     // Usage
     this.disposables.add(
       this.connection.on("usage", (usage) => {
-        this.tokenUsage.input += usage.input;
-        this.tokenUsage.output += usage.output;
+        addTokens(this.tokenUsage, usage);
+        etch.update(this);
+      })
+    );
+
+    // Context size while streaming
+    this.disposables.add(
+      this.connection.on("message-usage", (usage) => {
+        const tokens = getContextTokens(usage);
+        // The usage sent with the output count may leave out the input
+        if (!tokens || tokens === this.contextTokens) return;
+        this.contextTokens = tokens;
+        this.checkContextThresholds();
+        etch.update(this);
+      })
+    );
+
+    // Compaction (/compact or automatic)
+    this.disposables.add(
+      this.connection.on("compact", ({ trigger, preTokens }) => {
+        this.addMessage("compact", "", { trigger, preTokens });
+        // Unknown until the next message reports its usage
+        this.contextTokens = 0;
+        this.contextAlert = null;
+        this.updateAndMaybeScroll();
+      })
+    );
+
+    // Cost of a finished turn
+    this.disposables.add(
+      this.connection.on("cost", (usd) => {
+        const before = this.getExceededBudgets().map((b) => b.kind);
+        addCost(this.tokenUsage, usd);
+        for (const budget of this.getExceededBudgets()) {
+          if (!before.includes(budget.kind)) {
+            atom.notifications.addWarning("Claude budget exceeded", {
+              detail: budget.message,
+              dismissable: true,
+            });
+          }
+        }
         etch.update(this);
+        this.saveCurrentSession();
+        this.refreshProjectSpend();
       })
     );
 
     // Error
     this.disposables.add(
       this.connection.on("error", (error) => {
+        this.finalizeThinking();
         this.addMessage("error", error.message);
         this.isLoading = false;
+        this.finishTurn();
+        this.queuePaused = this.messageQueue.length > 0;
         this.currentText = "";
         this.updateAndMaybeScroll();
       })
@@ -324,8 +613,12 @@ export default class ChatPanel {
     // Exit
     this.disposables.add(
       this.connection.on("exit", (code) => {
+        this.clearPermissionQueue();
         if (code !== 0 && this.isLoading) {
+          this.finalizeThinking();
           this.isLoading = false;
+          this.finishTurn();
+          this.queuePaused = this.messageQueue.length > 0;
           this.currentText = "";
           etch.update(this);
         }
@@ -334,9 +627,16 @@ export default class ChatPanel {
 
     // Permission requests
     this.disposables.add(
-      this.connection.on("permission-request", (request) => {
+      this.connection.on("permission-request", async (request) => {
         log.debug("Permission request", request);
-        this.pendingPermission = request;
+        this.snapshotHeldTool(request.toolUseId, request.toolName, request.input);
+        const rule = await findMatchingRule(this.projectPaths, request.toolName, request.input);
+        if (rule) {
+          log.debug("Auto-allowed by rule", formatRule(rule));
+          this.connection.respondToPermission(request.requestId, "allow", request.input);
+          return;
+        }
+        this.permissionQueue.push(request);
         this.updateAndMaybeScroll();
       })
     );
@@ -356,6 +656,19 @@ export default class ChatPanel {
 
     this.promptEditor.gutterWithName("line-number")?.hide();
 
+    // Mini editor for denial reasons (shown inside the permission prompt)
+    this.denyReasonEditor = atom.workspace.buildTextEditor({
+      mini: true,
+      placeholderText: "Reason for denying (sent to Claude)...",
+    });
+
+    // Mini editor for the find bar
+    this.findEditor = atom.workspace.buildTextEditor({
+      mini: true,
+      placeholderText: "Find in conversation",
+    });
+    this.disposables.add(this.findEditor.onDidChange(() => this.runFind()));
+
     // Update action button when editor content changes during loading
     this.disposables.add(
       this.promptEditor.onDidStopChanging(() => {
@@ -384,6 +697,8 @@ export default class ChatPanel {
         "claude-chat:scroll-up": () => this.scrollPage(-1),
         "claude-chat:scroll-down": () => this.scrollPage(1),
         "claude-chat:show-usage": () => this.showTokenUsage(),
+        "claude-chat:toggle-thinking": () => this.toggleThinking(),
+        "claude-chat:compact": () => this.compactContext(),
         "claude-chat:mode-default": () => this.handlePermissionModeChange("default"),
         "claude-chat:mode-plan": () => this.handlePermissionModeChange("plan"),
         "claude-chat:mode-accept-edits": () => this.handlePermissionModeChange("acceptEdits"),
@@ -392,14 +707,44 @@ export default class ChatPanel {
       })
     );
 
+    // Commands for the denial reason input
+    this.disposables.add(
+      atom.commands.add(this.denyReasonEditor.element, {
+        "core:confirm": () => this.submitDenyReason(),
+        "core:cancel": () => this.cancelDenyReason(),
+      })
+    );
+
+    // Commands for the find bar input
+    this.disposables.add(
+      atom.commands.add(this.findEditor.element, {
+        "claude-chat:find-next": () => this.findNext(1),
+        "claude-chat:find-previous": () => this.findNext(-1),
+        "claude-chat:find-close": () => this.hideFind(),
+      })
+    );
+
     // Commands for the panel container
     this.disposables.add(
       atom.commands.add(this.element, {
         "claude-chat:copy": () => this.handleCopy(),
         "claude-chat:copy-message": (e) => this.handleCopyMessage(e),
+        "claude-chat:fork-from-message": (e) => this.handleForkFromEvent(e),
+        "claude-chat:edit-message": (e) => this.handleEditFromEvent(e),
+        "claude-chat:regenerate": () => this.handleRegenerate(),
         "claude-chat:unfold-all": () => this.expandAllTools(),
         "claude-chat:fold-all": () => this.collapseAllTools(),
         "claude-chat:clear-messages": () => this.clearMessages(),
+        "claude-chat:rename": () => this.handleRename(),
+        "claude-chat:export": () => this.handleExport(),
+        "claude-chat:find": () => this.showFind(),
+        "claude-chat:find-next": () => this.findNext(1),
+        "claude-chat:find-previous": () => this.findNext(-1),
+        "claude-chat:permission-allow": () => this.handlePermissionAccept(),
+        "claude-chat:permission-deny": () => this.handlePermissionDeny(),
+        "claude-chat:permission-deny-with-reason": () => this.handlePermissionDenyWithReason(),
+        "claude-chat:permission-allow-tool": () => this.handlePermissionAllowTool(),
+        "claude-chat:permission-deny-all": () => this.handlePermissionDenyAll(),
         "core:copy": (e) => this.handleCopy(e),
         "core:close": (e) => this.handleClose(e),
       })
@@ -423,6 +768,13 @@ export default class ChatPanel {
         }
       })
     );
+
+    // Target of the code block actions
+    this.disposables.add(
+      atom.workspace.observeActiveTextEditor((editor) => {
+        if (editor) this.lastTextEditor = editor;
+      })
+    );
   }
 
   // ============================================================================
@@ -446,6 +798,150 @@ export default class ChatPanel {
     }
   }
 
+  // ============================================================================
+  // Code Block Actions
+  // ============================================================================
+
+  /**
+   * Handle clicks on links and buttons inside rendered markdown
+   */
+  handleMessagesClick(event) {
+    const fileLink = event.target.closest(".file-reference");
+    if (fileLink) {
+      event.preventDefault();
+      const { filePath, line, column } = fileLink.dataset;
+      this.handleOpenFile(filePath, line, column);
+      return;
+    }
+    this.handleCodeBlockClick(event);
+  }
+
+  /**
+   * Run the action of a clicked code block toolbar button
+   */
+  handleCodeBlockClick(event) {
+    const button = event.target.closest("[data-code-action]");
+    const pre = button?.closest(".code-block")?.querySelector("pre");
+    if (!pre) return;
+    event.preventDefault();
+
+    const code = pre.textContent.replace(/\n$/, "");
+    switch (button.dataset.codeAction) {
+      case "copy":
+        atom.clipboard.write(code);
+        atom.notifications.addSuccess("Copied to clipboard", { dismissable: true });
+        break;
+      case "insert":
+        this.insertCode(code, false);
+        break;
+      case "replace":
+        this.insertCode(code, true);
+        break;
+      case "apply":
+        this.applyCodeToFile(code);
+        break;
+    }
+  }
+
+  /**
+   * Get the text editor code block actions go to (the last active one)
+   */
+  getTargetEditor() {
+    const editor = atom.workspace.getActiveTextEditor() || this.lastTextEditor;
+    return editor?.isAlive() ? editor : null;
+  }
+
+  /**
+   * Insert code at the cursors of the target editor
+   * @param {boolean} replaceSelection - Only replace selected text
+   */
+  insertCode(code, replaceSelection) {
+    const editor = this.getTargetEditor();
+    if (!editor) {
+      atom.notifications.addWarning("No text editor to insert into.");
+      return;
+    }
+
+    if (replaceSelection) {
+      const selections = editor.getSelections().filter((s) => !s.isEmpty());
+      if (selections.length === 0) {
+        atom.notifications.addWarning("No text selected in the editor.");
+        return;
+      }
+      editor.transact(() => selections.forEach((s) => s.insertText(code)));
+    } else {
+      editor.insertText(code);
+    }
+
+    const pane = atom.workspace.paneForItem(editor);
+    pane?.activateItem(editor);
+    pane?.activate();
+  }
+
+  /**
+   * Show a code block as a diff against a file and write it after confirmation
+   */
+  async applyCodeToFile(code) {
+    const editor = this.getTargetEditor();
+    const input = await promptForText({
+      message: "Apply code block to file:",
+      placeholder: "Path of the file to replace",
+      initialText: editor?.getPath() || "",
+    });
+    if (!input?.trim()) return;
+
+    const filePath = path.resolve(this.projectPaths[0] || "", input.trim());
+    const openEditor = atom.workspace.getTextEditors().find((e) => e.getPath() === filePath);
+    let original = "";
+    try {
+      original = openEditor ? openEditor.getText() : await fs.readFile(filePath, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        atom.notifications.addError(`Could not read ${filePath}`, { detail: err.message });
+        return;
+      }
+    }
+
+    // Keep the file's final newline; code blocks don't have one
+    const modified = original.endsWith("\n") && !code.endsWith("\n") ? `${code}\n` : code;
+    const name = getRelativePath(filePath, this.projectPaths);
+    const diffEditor = await openDiffView({
+      filePath,
+      original,
+      modified,
+      title: `Apply: ${getBaseName(filePath)}`,
+    });
+
+    const choice = await new Promise((resolve) =>
+      atom.confirm(
+        {
+          message: `Apply the code block to ${name}?`,
+          detail: "The content of the file is replaced with the code block, as shown in the diff.",
+          buttons: ["Apply", "Cancel"],
+        },
+        resolve
+      )
+    );
+    if (diffEditor.isAlive()) {
+      atom.workspace.paneForItem(diffEditor)?.destroyItem(diffEditor, true);
+    }
+    if (choice !== 0) return;
+
+    try {
+      if (openEditor?.isAlive()) {
+        openEditor.getBuffer().setTextViaDiff(modified);
+        await openEditor.save();
+      } else {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, modified, "utf8");
+      }
+      atom.notifications.addSuccess(`Applied code block to ${name}`);
+    } catch (err) {
+      log.error("Failed to apply code block", { filePath, error: err.message });
+      atom.notifications.addError(`Could not write ${filePath}`, { detail: err.message });
+    }
+  }
+
   handleClose(event) {
     if (event) event.stopPropagation();
     const pane = atom.workspace.paneForItem(this);
@@ -454,23 +950,124 @@ export default class ChatPanel {
     }
   }
 
+  /**
+   * Export the conversation; format follows the chosen file extension
+   */
+  async handleExport() {
+    if (this.messages.length === 0) {
+      atom.notifications.addInfo("Nothing to export yet.");
+      return;
+    }
+
+    const baseName = this.getTitle().replace(/[\\/:*?"<>|]+/g, "").trim() || "claude-chat";
+    const filePath = atom.showSaveDialogSync({
+      defaultPath: joinPath(this.projectPaths[0] || process.cwd(), `${baseName}.md`),
+      filters: Object.values(EXPORT_FORMATS),
+    });
+    if (!filePath) return;
+
+    try {
+      const format = await exportConversation(this.getConversationData(), filePath);
+      atom.notifications.addSuccess(`Exported chat as ${EXPORT_FORMATS[format].name}`, {
+        detail: filePath,
+        dismissable: true,
+      });
+    } catch (err) {
+      log.error("Export failed", err);
+      atom.notifications.addError("Failed to export chat", { detail: err.message });
+    }
+  }
+
+  /**
+   * Conversation snapshot for export
+   */
+  getConversationData() {
+    return {
+      sessionId: this.sessionId,
+      title: this.getTitle(),
+      createdAt: this.createdAt,
+      projectPaths: this.projectPaths,
+      messages: this.messages,
+      tokenUsage: this.tokenUsage,
+    };
+  }
+
   showTokenUsage() {
-    const total = this.tokenUsage.input + this.tokenUsage.output;
+    const usage = this.tokenUsage;
+    const total = usage.input + usage.output + usage.cacheRead + usage.cacheCreation;
+    const today = usage.costByDay[getDayKey()] || 0;
     atom.notifications.addInfo("Token Usage", {
-      detail: `Input: ${this.tokenUsage.input.toLocaleString()}\nOutput: ${this.tokenUsage.output.toLocaleString()}\nTotal: ${total.toLocaleString()}`,
+      detail: [
+        `Input: ${usage.input.toLocaleString()}`,
+        `Output: ${usage.output.toLocaleString()}`,
+        `Cache read: ${usage.cacheRead.toLocaleString()}`,
+        `Cache write: ${usage.cacheCreation.toLocaleString()}`,
+        `Total: ${total.toLocaleString()}`,
+        "",
+        `Cost: ${formatCost(usage.cost)} (today ${formatCost(today)})`,
+        `Project today: ${formatCost(this.otherProjectSpendToday + today)}`,
+      ].join("\n"),
       dismissable: true,
     });
   }
 
-  sendSlashCommand(command) {
-    const prompt = `/${command}`;
-    this.addMessage("user", prompt);
-    this.isLoading = true;
-    this.currentText = "";
+  // ============================================================================
+  // Budgets
+  // ============================================================================
 
-    etch.update(this).then(() => this.scrollToBottom());
-    this.connection.send(prompt);
+  /**
+   * Reload today's spend of the project's other chats
+   */
+  async refreshProjectSpend() {
+    try {
+      const byDay = await getProjectSpendByDay(
+        this.projectPaths,
+        [this.sessionId, this.savedSessionId].filter(Boolean)
+      );
+      this.otherProjectSpendToday = byDay[getDayKey()] || 0;
+      etch.update(this);
+    } catch (err) {
+      log.error("Failed to read project spend", err.message);
+    }
+  }
+
+  getExceededBudgets() {
+    const today = this.tokenUsage.costByDay[getDayKey()] || 0;
+    return getExceededBudgets(this.tokenUsage.cost, this.otherProjectSpendToday + today);
+  }
+
+  /**
+   * Check budgets before a prompt goes out. The project's spend is reloaded
+   * first, so turns other chats finished since count.
+   * @returns {Promise<boolean>} Whether sending is blocked
+   */
+  async isBlockedByBudget() {
+    if (Config.budgetAction() !== "block") return false;
+    if (Config.dailyProjectBudget() > 0) await this.refreshProjectSpend();
+    const exceeded = this.getExceededBudgets();
+    if (exceeded.length === 0) return false;
+
+    atom.notifications.addError("Claude budget exceeded - prompt not sent", {
+      detail: `${exceeded.map((b) => b.message).join("\n")}\n\nRaise the budget or switch to warnings in the claude-chat settings.`,
+      dismissable: true,
+    });
+    return true;
+  }
+
+  /**
+   * Send a slash command, queued like a prompt while Claude is responding
+   * @param {string} command - Command name without the slash
+   * @param {string} args - Arguments, if any
+   */
+  async sendSlashCommand(command, args = "") {
+    const prompt = args.trim() ? `/${command} ${args.trim()}` : `/${command}`;
     this.focus();
+    if (!this.isLoading && (await this.isBlockedByBudget())) return;
+    if (this.isLoading) {
+      this.enqueueMessage(prompt);
+    } else {
+      this.dispatchPrompt(prompt);
+    }
   }
 
   scheduleUpdate() {
@@ -481,6 +1078,8 @@ export default class ChatPanel {
     requestAnimationFrame(() => {
       this.currentText += this.pendingDelta;
       this.pendingDelta = "";
+      this.currentThinking += this.pendingThinking;
+      this.pendingThinking = "";
       this.updateScheduled = false;
       etch.update(this).then(() => {
         if (wasNearBottom) this.scrollToBottom();
@@ -488,6 +1087,23 @@ export default class ChatPanel {
     });
   }
 
+  /**
+   * Move the streamed thinking into a timeline message
+   * @param {string} fullText - Complete thinking block, if the CLI sent one
+   */
+  finalizeThinking(fullText = null) {
+    const streamed = this.currentThinking + this.pendingThinking;
+    this.currentThinking = "";
+    this.pendingThinking = "";
+    const text = fullText || streamed;
+    if (!text) return;
+
+    // A complete block can follow deltas that were already finalized
+    const last = this.messages[this.messages.length - 1];
+    if (!streamed && last?.role === "thinking" && last.content === text) return;
+    this.addMessage("thinking", text);
+  }
+
   isNearBottom() {
     const container = this.refs.messagesContainer;
     if (!container) return true;
@@ -517,6 +1133,69 @@ export default class ChatPanel {
     container.scrollTop += direction * pageHeight;
   }
 
+  // ============================================================================
+  // Context Window
+  // ============================================================================
+
+  getContextPercent() {
+    return Math.min(100, Math.round((this.contextTokens / getContextWindow(this.model)) * 100));
+  }
+
+  /**
+   * Get the highest context threshold a fill percentage reaches
+   * @returns {string|null} "compact", "warning" or null
+   */
+  getContextLevel(percent) {
+    const compactAt = Config.contextCompactThreshold();
+    const warnAt = Config.contextWarningThreshold();
+    if (compactAt > 0 && percent >= compactAt) return "compact";
+    if (warnAt > 0 && percent >= warnAt) return "warning";
+    return null;
+  }
+
+  /**
+   * Alert once per threshold crossed, offering to compact
+   */
+  checkContextThresholds() {
+    const levels = [null, "warning", "compact"];
+    const percent = this.getContextPercent();
+    const level = this.getContextLevel(percent);
+    const rising = levels.indexOf(level) > levels.indexOf(this.contextAlert);
+    this.contextAlert = level;
+    if (!rising) return;
+
+    const used = `${this.contextTokens.toLocaleString()} of ${getContextWindow(this.model).toLocaleString()} tokens`;
+    const notification = atom.notifications.addWarning(`Context window ${percent}% full`, {
+      detail:
+        level === "compact"
+          ? `"${this.getTitle()}" uses ${used}. Compact it now to choose what the summary keeps, before the CLI compacts it on its own.`
+          : `"${this.getTitle()}" uses ${used}.`,
+      dismissable: level === "compact",
+      buttons: [
+        {
+          text: "Compact...",
+          onDidClick: () => {
+            notification.dismiss();
+            this.compactContext();
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Run /compact, asking for optional focus instructions for the summary
+   */
+  async compactContext() {
+    const focus = await promptForText({
+      message: "Compact the conversation. Focus instructions for the summary (optional):",
+      placeholder: "e.g. Keep the API decisions and the open TODOs",
+    });
+    if (focus === null) return;
+
+    this.sendSlashCommand("compact", focus);
+  }
+
   // ============================================================================
   // Tool Interaction
   // ============================================================================
@@ -529,6 +1208,47 @@ export default class ChatPanel {
     }
   }
 
+  /**
+   * Show a folded run of unchanged lines in a tool diff
+   * @param {string} key - Fold key from renderDiff
+   */
+  expandDiffFold(id, key) {
+    const msg = this.messages.find((m) => m.role === "tool" && m.id === id);
+    if (msg) {
+      msg.expandedFolds = [...(msg.expandedFolds || []), key];
+      etch.update(this);
+    }
+  }
+
+  /**
+   * Whether a tool call is still executing (tool-use seen, no result yet)
+   */
+  isToolRunning(msg) {
+    return (
+      this.isLoading &&
+      msg.role === "tool" &&
+      !!msg.startedAt &&
+      msg.duration === undefined &&
+      msg.result === null
+    );
+  }
+
+  /**
+   * Tick once a second while tools are running, so their timers stay live
+   */
+  updateToolTimer() {
+    const running = this.messages.some((m) => this.isToolRunning(m));
+    if (running && !this.toolTimer) {
+      this.toolTimer = setInterval(() => {
+        etch.update(this);
+        this.updateToolTimer();
+      }, 1000);
+    } else if (!running && this.toolTimer) {
+      clearInterval(this.toolTimer);
+      this.toolTimer = null;
+    }
+  }
+
   expandAllTools() {
     this.defaultToolCollapsed = false;
     for (const msg of this.messages) {
@@ -549,16 +1269,568 @@ export default class ChatPanel {
     etch.update(this);
   }
 
-  handleOpenFile(filePath, line) {
-    if (!filePath) return;
-    const options = {};
-    if (line) options.initialLine = parseInt(line, 10) - 1;
-    atom.workspace.open(filePath, options).catch(() => {
-      atom.notifications.addWarning(`Could not open: ${filePath}`);
-    });
-  }
-
-  // ============================================================================
+  /**
+   * Scroll to a message and briefly highlight it (e.g. from search results)
+   * @param {number} index - Index in this.messages
+   */
+  async revealMessage(index) {
+    const msg = this.messages[index];
+    if (!msg) return;
+    if (msg.role === "tool" && msg.collapsed) {
+      msg.collapsed = false;
+    }
+    await etch.update(this);
+
+    const el = this.element.querySelector(`[data-message-index="${index}"]`);
+    if (!el) return;
+    el.scrollIntoView({ block: "center" });
+    el.classList.add("message-highlight");
+    setTimeout(() => el.classList.remove("message-highlight"), 2000);
+  }
+
+  // ============================================================================
+  // Forking
+  // ============================================================================
+
+  /**
+   * Build the props of a chat branching off before a user message.
+   * The new chat resumes this session up to the end of the previous turn
+   * (forked by the CLI, so this session is untouched) and gets the message
+   * back in its prompt editor.
+   * @param {number} index - Index of a user message in this.messages
+   * @returns {Object|null} ChatPanel props, or null if the message can't be forked
+   */
+  getForkProps(index) {
+    const msg = this.messages[index];
+    if (msg?.role !== "user") return null;
+
+    const point = getResumePoint(this.messages, index);
+    if (!point) {
+      atom.notifications.addWarning("Cannot fork from this message", {
+        description: "No resume point was recorded for the previous turn (e.g. it was sent by an older version).",
+      });
+      return null;
+    }
+
+    // Alternate branches and file checkpoints stay with this chat
+    const earlier = JSON.parse(
+      JSON.stringify(this.messages.slice(0, index), (key, value) =>
+        key === "branches" || key === "checkpoint" ? undefined : value
+      )
+    );
+
+    return {
+      messages: earlier,
+      projectPaths: this.projectPaths,
+      permissionMode: this.permissionMode,
+      model: this.model,
+      thinkingBudget: this.thinkingBudget,
+      tokenUsage: createUsage(),
+      parentSessionId: this.sessionId,
+      fork: point.sessionId ? { sessionId: point.sessionId, resumeAt: point.resumeAt } : null,
+      draft: { text: msg.content, attach: msg.attach || null },
+    };
+  }
+
+  handleFork(index) {
+    const props = this.getForkProps(index);
+    if (props) {
+      this.emitter.emit("did-request-fork", props);
+    }
+  }
+
+  handleForkFromEvent(event) {
+    const block = event?.target?.closest?.(".user-message-block");
+    if (!block) return;
+    this.handleFork(parseInt(block.getAttribute("data-message-index"), 10));
+  }
+
+  // ============================================================================
+  // Branches (edit & resend, regenerate)
+  // ============================================================================
+
+  /**
+   * Restart the CLI so the next prompt continues from a recorded point.
+   * Points from another session (e.g. copied into a fork) are forked, so
+   * that session is never changed from here.
+   * @param {Object} point - { sessionId, resumeAt } from getResumePoint
+   */
+  resumeFrom(point) {
+    this.pendingResume = {
+      sessionId: point.sessionId,
+      resumeAt: point.resumeAt,
+      fork: !!point.sessionId && point.sessionId !== this.sessionId,
+    };
+    this.recreateConnection();
+  }
+
+  /**
+   * Cut the conversation before a user message and put it back in the
+   * prompt editor. The cut messages are kept as an alternate branch.
+   * @param {number} index - Index of a user message in this.messages
+   */
+  handleEditMessage(index) {
+    if (this.isLoading) {
+      atom.notifications.addWarning("Stop the current response before editing a message.");
+      return;
+    }
+    this.restorePendingBranch();
+
+    const msg = this.messages[index];
+    if (msg?.role !== "user") return;
+
+    const point = getResumePoint(this.messages, index);
+    if (!point) {
+      atom.notifications.addWarning("Cannot edit this message", {
+        description: "No resume point was recorded for the previous turn (e.g. it was sent by an older version).",
+      });
+      return;
+    }
+
+    this.pendingBranch = { index, detached: detachTail(this.messages, index) };
+    this.resumeFrom(point);
+
+    this.promptEditor.setText(msg.content || "");
+    this.attachContext = msg.attach ? { ...msg.attach } : null;
+    this.update().then(() => this.scrollToBottom());
+    this.saveCurrentSession();
+    this.focus();
+  }
+
+  /**
+   * Drop the last response and send its prompt again. The dropped response
+   * is kept as an alternate branch.
+   */
+  async handleRegenerate() {
+    if (this.isLoading) {
+      atom.notifications.addWarning("Stop the current response before regenerating it.");
+      return;
+    }
+    if ((await this.isBlockedByBudget()) || this.isLoading) return;
+    this.restorePendingBranch();
+
+    const index = this.messages.map((m) => m.role).lastIndexOf("user");
+    if (index === -1) {
+      atom.notifications.addInfo("Nothing to regenerate yet.");
+      return;
+    }
+
+    const point = getResumePoint(this.messages, index);
+    if (!point) {
+      atom.notifications.addWarning("Cannot regenerate this response", {
+        description: "No resume point was recorded for the previous turn (e.g. it was sent by an older version).",
+      });
+      return;
+    }
+
+    const detached = detachTail(this.messages, index + 1);
+    this.pendingBranch = detached ? { index: index + 1, detached } : null;
+    this.resumeFrom(point);
+
+    const msg = this.messages[index];
+    this.startTurn(this.formatAttachContext(msg.attach) + msg.content);
+  }
+
+  handleEditFromEvent(event) {
+    const block = event?.target?.closest?.(".user-message-block");
+    if (!block) return;
+    this.handleEditMessage(parseInt(block.getAttribute("data-message-index"), 10));
+  }
+
+  /**
+   * Bring back the messages cut by an edit that was not sent
+   */
+  restorePendingBranch() {
+    const branch = this.pendingBranch;
+    if (!branch || this.messages.length !== branch.index) return false;
+    this.pendingBranch = null;
+
+    restoreTail(this.messages, branch.detached);
+    this.syncResumePoint();
+    this.update().then(() => this.scrollToBottom());
+    this.saveCurrentSession();
+    return true;
+  }
+
+  /**
+   * Messages as they are saved: while a branch is pending (an edit not sent
+   * yet, a regenerated response not started), the cut messages are saved in
+   * their place, so closing the window can't lose them
+   */
+  getMessagesToSave() {
+    const branch = this.pendingBranch;
+    if (!branch || this.messages.length !== branch.index) return this.messages;
+
+    const messages = [...this.messages];
+    restoreTail(messages, JSON.parse(JSON.stringify(branch.detached)));
+    return messages;
+  }
+
+  /**
+   * Show another version of the conversation from a branch point
+   * @param {number} index - Index of the branch head
+   * @param {number} target - Version to show
+   */
+  handleSwitchBranch(index, target) {
+    if (this.isLoading) {
+      atom.notifications.addWarning("Stop the current response before switching branches.");
+      return;
+    }
+    // An unsent edit's cut messages go back first; the indices before it stay valid
+    this.restorePendingBranch();
+    if (!switchBranch(this.messages, index, target)) return;
+
+    this.syncResumePoint();
+    this.update();
+    this.saveCurrentSession();
+  }
+
+  /**
+   * Continue the CLI from the end of the shown messages
+   */
+  syncResumePoint() {
+    const point = getResumePoint(this.messages, this.messages.length);
+    if (point) this.resumeFrom(point);
+  }
+
+  // ============================================================================
+  // Checkpoints
+  // ============================================================================
+
+  /**
+   * Read the file a tool call changes; call only while the CLI holds the tool
+   * @returns {Object|null} { existed, content }, or null for other tools
+   */
+  readEditedFile(toolName, input) {
+    const filePath = getEditedPath(toolName, input, this.projectPaths[0]);
+    if (!filePath) return null;
+    try {
+      return readFileState(filePath);
+    } catch (err) {
+      log.error("Reading file before tool failed", { filePath, error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Snapshot the file of a tool the CLI holds (at its permission request or
+   * PreToolUse hook) and keep the state for its tool-use event
+   */
+  snapshotHeldTool(toolUseId, toolName, input) {
+    if (!toolUseId || this.heldToolStates.has(toolUseId)) return;
+    const before = this.readEditedFile(toolName, input);
+    if (!before) return;
+    this.heldToolStates.set(toolUseId, before);
+    this.snapshotForTool(toolName, input, before);
+  }
+
+  /**
+   * Snapshot a file before Claude's first change to it in the current turn
+   * @param {Object} before - State from readEditedFile
+   */
+  snapshotForTool(toolName, input, before) {
+    const filePath = getEditedPath(toolName, input, this.projectPaths[0]);
+    const turn = [...this.messages].reverse().find((m) => m.role === "user");
+    if (!filePath || !before || !turn || !this.sessionId) return;
+
+    if (!turn.checkpoint) {
+      turn.checkpoint = { id: createCheckpointId(), files: [] };
+    }
+    if (turn.checkpoint.files.includes(filePath)) return;
+    turn.checkpoint.files.push(filePath);
+
+    snapshotFile(this.sessionId, turn.checkpoint.id, filePath, before).catch((err) => {
+      log.error("Snapshot failed", { filePath, error: err.message });
+    });
+  }
+
+  /**
+   * Find where an Edit/MultiEdit lands in its file, for diff line numbers
+   * @param {Object} before - State from readEditedFile
+   * @returns {Array<number|null>|undefined} Start line per edit
+   */
+  locateEditLines(toolName, input, before) {
+    if (toolName !== "Edit" && toolName !== "MultiEdit") return undefined;
+    if (!before) return undefined;
+    return locateEdits(toolName, input, before.content);
+  }
+
+  /**
+   * Record the end state of the files changed in the last turn, for its
+   * changed-files summary
+   */
+  finishTurn() {
+    this.preparingTool = null;
+    this.heldToolStates.clear();
+    this.updateToolTimer();
+
+    const turn = [...this.messages].reverse().find((m) => m.role === "user");
+    const checkpoint = turn?.checkpoint;
+    if (!checkpoint || !this.sessionId) return;
+
+    recordTurnResult(this.sessionId, checkpoint.id, checkpoint.files)
+      .then((stats) => {
+        checkpoint.stats = stats;
+        etch.update(this);
+      })
+      .catch((err) => log.error("Failed to record turn result", err.message));
+  }
+
+  /**
+   * Open the combined diff of everything a turn changed in a file
+   * @param {number} index - Index of the turn's user message
+   */
+  async openTurnDiff(index, filePath) {
+    const checkpoint = this.messages[index]?.checkpoint;
+    const data = checkpoint && (await loadCheckpoint(this.sessionId, checkpoint.id));
+    const snapshot = data?.files[filePath];
+    if (!snapshot) {
+      atom.notifications.addWarning(`No snapshot of ${getRelativePath(filePath, this.projectPaths)}`);
+      return;
+    }
+
+    // Turns still running (or recorded before end states) compare with the disk
+    let modified = snapshot.after?.content;
+    if (!snapshot.after) {
+      try {
+        modified = await fs.readFile(filePath, "utf8");
+      } catch (err) {
+        modified = "";
+      }
+    }
+
+    await openDiffView({
+      filePath,
+      original: snapshot.content || "",
+      modified: modified || "",
+      title: `Turn diff: ${getBaseName(filePath)}`,
+    });
+  }
+
+  /**
+   * Stage the files changed in a turn in git
+   */
+  async handleStageTurn(index) {
+    const files = this.messages[index]?.checkpoint?.files;
+    if (!files?.length) return;
+    try {
+      const { staged, skipped } = await stageFiles(files, this.projectPaths);
+      if (staged.length > 0) {
+        atom.notifications.addSuccess(`Staged ${staged.length} file(s)`);
+      }
+      if (skipped.length > 0) {
+        atom.notifications.addWarning(`Didn't stage ${skipped.length} file(s) outside the project folders`, {
+          detail: skipped.join("\n"),
+          dismissable: true,
+        });
+      }
+    } catch (err) {
+      atom.notifications.addError("Failed to stage files", {
+        detail: err.message,
+        dismissable: true,
+      });
+    }
+  }
+
+  /**
+   * Restore the files changed in a turn to their state before it
+   * @param {number} index - Index of the turn's user message
+   * @param {boolean} andLater - Also undo all later turns ("revert to here")
+   */
+  async handleRevert(index, andLater) {
+    const checkpointIds = [];
+    const files = new Set();
+    for (let i = index; i < this.messages.length; i++) {
+      const msg = this.messages[i];
+      if (msg.role !== "user" || !msg.checkpoint) continue;
+      if (i !== index && !andLater) break;
+      checkpointIds.push(msg.checkpoint.id);
+      msg.checkpoint.files.forEach((file) => files.add(file));
+    }
+    if (files.size === 0) return;
+
+    const fileList = [...files].map((file) => getRelativePath(file, this.projectPaths));
+    const choice = atom.confirm({
+      message: andLater ? "Revert to Here" : "Revert Turn",
+      detailedMessage:
+        `Restore ${files.size} file(s) to their state before ${andLater ? "this and all later turns" : "this turn"}?\n\n` +
+        `${fileList.join("\n")}\n\nChanges made to these files since then will be lost.`,
+      buttons: ["Revert", "Cancel"],
+    });
+    if (choice !== 0) return;
+
+    try {
+      const restored = await restoreCheckpoints(this.sessionId, checkpointIds);
+      atom.notifications.addSuccess(`Reverted ${restored.length} file(s)`);
+    } catch (err) {
+      atom.notifications.addError("Failed to revert files", {
+        detail: err.message,
+        dismissable: true,
+      });
+    }
+  }
+
+  // ============================================================================
+  // Find in Conversation
+  // ============================================================================
+
+  /**
+   * Show the find bar, prefilled with the text selected in the panel
+   */
+  async showFind() {
+    const selection = window.getSelection();
+    const selectedText = selection.toString();
+    const fromPanel = selection.anchorNode && this.refs.messagesContainer.contains(selection.anchorNode);
+
+    this.isFindVisible = true;
+    await etch.update(this);
+
+    const container = this.refs.findContainer;
+    if (container && !container.contains(this.findEditor.element)) {
+      container.appendChild(this.findEditor.element);
+    }
+    if (fromPanel && selectedText && !selectedText.includes("\n")) {
+      this.findEditor.setText(selectedText);
+    }
+    this.findEditor.selectAll();
+    this.findEditor.element.focus();
+  }
+
+  async hideFind() {
+    if (!this.isFindVisible) return;
+    this.isFindVisible = false;
+    this.findMatches = [];
+    await etch.update(this);
+    this.refs.findOverlay.innerHTML = "";
+    this.focus();
+  }
+
+  /**
+   * Search for the find bar text, expanding collapsed tools that contain it
+   */
+  async runFind() {
+    if (!this.isFindVisible) return;
+    const needle = this.findEditor.getText().toLowerCase();
+
+    if (needle) {
+      for (const msg of this.messages) {
+        if (msg.role !== "tool" || !msg.collapsed) continue;
+        const text = `${JSON.stringify(msg.input || {})}\n${resultToText(msg.result)}`;
+        if (text.toLowerCase().includes(needle)) {
+          msg.collapsed = false;
+        }
+      }
+    }
+
+    // writeAfterUpdate collects the matches
+    await etch.update(this);
+
+    // Start at the first match in view (or below it)
+    const container = this.refs.messagesContainer;
+    const index = this.findMatches.findIndex((range) => {
+      const [rect] = rangeRects(range, container);
+      return rect && rect.top >= container.scrollTop;
+    });
+    this.findIndex = Math.max(index, 0);
+    this.drawFindMatches();
+    this.scrollToFindMatch();
+  }
+
+  /**
+   * Step to the next (1) or previous (-1) match
+   */
+  findNext(direction) {
+    if (!this.isFindVisible) {
+      this.showFind();
+      return;
+    }
+    const count = this.findMatches.length;
+    if (count === 0) return;
+    this.findIndex = (this.findIndex + direction + count) % count;
+    this.drawFindMatches();
+    this.scrollToFindMatch();
+  }
+
+  /**
+   * Collect matches from the rendered messages (called after every update,
+   * since etch may have replaced the text nodes)
+   */
+  refreshFindMatches() {
+    const query = this.isFindVisible ? this.findEditor.getText() : "";
+    this.findMatches = findTextRanges(
+      this.refs.messagesContainer,
+      query,
+      ".find-overlay, atom-text-editor"
+    );
+    // Reveal matches inside collapsed thinking blocks
+    for (const range of this.findMatches) {
+      const details = range.startContainer.parentElement?.closest("details:not([open])");
+      if (details) details.open = true;
+    }
+    if (this.findIndex >= this.findMatches.length) {
+      this.findIndex = 0;
+    }
+    this.drawFindMatches();
+  }
+
+  drawFindMatches() {
+    const container = this.refs.messagesContainer;
+    const overlay = this.refs.findOverlay;
+    overlay.innerHTML = "";
+
+    this.findMatches.forEach((range, index) => {
+      for (const rect of rangeRects(range, container)) {
+        const mark = document.createElement("div");
+        mark.className = index === this.findIndex ? "find-match current" : "find-match";
+        mark.style.top = `${rect.top}px`;
+        mark.style.left = `${rect.left}px`;
+        mark.style.width = `${rect.width}px`;
+        mark.style.height = `${rect.height}px`;
+        overlay.appendChild(mark);
+      }
+    });
+
+    const countEl = this.refs.findCount;
+    if (countEl) {
+      const count = this.findMatches.length;
+      countEl.textContent = !this.findEditor.getText()
+        ? ""
+        : count === 0
+          ? "No results"
+          : `${this.findIndex + 1} of ${count}`;
+      countEl.classList.toggle("no-results", count === 0);
+    }
+  }
+
+  scrollToFindMatch() {
+    const range = this.findMatches[this.findIndex];
+    if (!range) return;
+    const container = this.refs.messagesContainer;
+    const [rect] = rangeRects(range, container);
+    if (!rect) return;
+    const { scrollTop, clientHeight } = container;
+    if (rect.top < scrollTop || rect.top + rect.height > scrollTop + clientHeight) {
+      container.scrollTop = rect.top - clientHeight / 2;
+    }
+  }
+
+  writeAfterUpdate() {
+    if (this.isFindVisible) {
+      this.refreshFindMatches();
+    }
+  }
+
+  handleOpenFile(filePath, line, column) {
+    if (!filePath) return;
+    const options = {};
+    if (line) options.initialLine = parseInt(line, 10) - 1;
+    if (line && column) options.initialColumn = parseInt(column, 10) - 1;
+    atom.workspace.open(filePath, options).catch(() => {
+      atom.notifications.addWarning(`Could not open: ${filePath}`);
+    });
+  }
+
+  // ============================================================================
   // Attach Context
   // ============================================================================
 
@@ -572,10 +1844,10 @@ export default class ChatPanel {
     this.update();
   }
 
-  formatAttachContext() {
-    if (!this.attachContext) return "";
+  formatAttachContext(context = this.attachContext) {
+    if (!context) return "";
 
-    const { type, path, paths, line, column, selection, selections } = this.attachContext;
+    const { type, path, paths, line, column, selection, selections } = context;
 
     if (type === "selections" && selections) {
       // Multi-cursor selections from editor
@@ -594,7 +1866,7 @@ export default class ChatPanel {
     } else if (type === "image") {
       // Image attachment - provide context for Claude to read and analyze
       const file = path || paths?.[0];
-      const { dimensions } = this.attachContext;
+      const { dimensions } = context;
       let result = `User attached an image for analysis.\nPath: ${file}`;
       if (dimensions) {
         result += `\nDimensions: ${dimensions.width}×${dimensions.height} pixels`;
@@ -622,63 +1894,193 @@ export default class ChatPanel {
   // Send/Stop Handlers
   // ============================================================================
 
-  sendPrompt(text, attachContext = null) {
-    if (!text && !attachContext && !this.attachContext) return false;
+  /**
+   * Send a prompt, or queue it while Claude is still responding
+   */
+  async sendPrompt(text, attachContext = null) {
+    const attach = attachContext || this.attachContext;
+    if (!text && !attach) return false;
+    if (this.isSending) return false;
 
-    log.debug("Sending prompt", { length: text?.length || 0, hasAttach: !!attachContext || !!this.attachContext });
+    // Taken now, so a second send during the budget check can't reuse it
+    this.attachContext = null;
+    if (!this.isLoading) {
+      this.isSending = true;
+      let blocked;
+      try {
+        blocked = await this.isBlockedByBudget();
+      } finally {
+        this.isSending = false;
+      }
+      if (blocked) {
+        if (!attachContext && !this.attachContext) this.attachContext = attach;
+        etch.update(this);
+        return false;
+      }
+    }
 
-    if (attachContext) {
-      this.attachContext = attachContext;
+    log.debug("Sending prompt", { length: text?.length || 0, hasAttach: !!attach, queued: this.isLoading });
+
+    // Another prompt may have gone out during the budget check
+    if (this.isLoading) {
+      this.enqueueMessage(text || "", attach);
+    } else {
+      this.dispatchPrompt(text || "", attach);
     }
 
-    const attachPrefix = this.formatAttachContext();
-    const fullMessage = attachPrefix + text;
+    return true;
+  }
 
+  /**
+   * Add the user message to the conversation and write it to the CLI
+   */
+  dispatchPrompt(text, attach = null) {
     const message = this.addMessage("user", text);
-    if (this.attachContext) {
-      message.attach = { ...this.attachContext };
+    if (attach) {
+      message.attach = { ...attach };
     }
+    this.updateTitle();
+    this.startTurn(this.formatAttachContext(attach) + text);
+  }
 
+  /**
+   * Write a prompt to the CLI and show the response as it streams
+   */
+  startTurn(fullMessage) {
     this.isLoading = true;
     this.currentText = "";
-    this.attachContext = null;
 
     etch.update(this).then(() => this.scrollToBottom());
     this.connection.send(fullMessage);
-
-    return true;
   }
 
-  handleSend() {
+  async handleSend() {
     const text = this.promptEditor.getText().trim();
     if (!text && !this.attachContext) return;
 
-    const attachPrefix = this.formatAttachContext();
-    const fullMessage = attachPrefix + text;
+    if (this.editingQueueId) {
+      this.saveQueuedEdit(text);
+      return;
+    }
 
-    const message = this.addMessage("user", text);
-    if (this.attachContext) {
-      message.attach = { ...this.attachContext };
+    if (this.isSending) return;
+    this.focus();
+    this.promptEditor.setText("");
+    if (!(await this.sendPrompt(text))) {
+      // Give a blocked prompt back, unless something new was typed meanwhile
+      if (!this.promptEditor.getText()) this.promptEditor.setText(text);
     }
+  }
+
+  // ============================================================================
+  // Message Queue
+  // ============================================================================
 
+  enqueueMessage(text, attach = null) {
+    this.messageQueue.push({
+      id: `queued-${Date.now()}-${this.messageQueue.length}`,
+      text,
+      attach: attach ? { ...attach } : null,
+    });
+    this.onQueueChanged();
+  }
+
+  /**
+   * Send the next queued prompt (skipping one that is being edited)
+   */
+  async sendNextQueued() {
+    if (this.isLoading || this.queuePaused) return;
+    if (!this.messageQueue.some((item) => item.id !== this.editingQueueId)) return;
+    if (await this.isBlockedByBudget()) {
+      this.queuePaused = true;
+      etch.update(this);
+      return;
+    }
+
+    // The queue may have changed (or a prompt gone out) during the check
+    const next = this.messageQueue.find((item) => item.id !== this.editingQueueId);
+    if (this.isLoading || this.queuePaused || !next) return;
+    this.messageQueue = this.messageQueue.filter((item) => item !== next);
+    this.dispatchPrompt(next.text, next.attach);
+    this.onQueueChanged();
+  }
+
+  resumeQueue() {
+    this.queuePaused = false;
+    this.sendNextQueued();
+    etch.update(this);
+  }
+
+  removeQueuedMessage(id) {
+    this.messageQueue = this.messageQueue.filter((item) => item.id !== id);
+    if (this.editingQueueId === id) {
+      this.editingQueueId = null;
+      this.promptEditor.setText("");
+      this.attachContext = null;
+    }
+    if (this.messageQueue.length === 0) this.queuePaused = false;
+    this.onQueueChanged();
+  }
+
+  moveQueuedMessage(id, direction) {
+    const index = this.messageQueue.findIndex((item) => item.id === id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= this.messageQueue.length) return;
+
+    const queue = [...this.messageQueue];
+    [queue[index], queue[target]] = [queue[target], queue[index]];
+    this.messageQueue = queue;
+    this.onQueueChanged();
+  }
+
+  /**
+   * Load a queued prompt into the editor; the next send updates it in place
+   */
+  editQueuedMessage(id) {
+    const item = this.messageQueue.find((i) => i.id === id);
+    if (!item) return;
+
+    this.editingQueueId = id;
+    this.promptEditor.setText(item.text);
+    this.attachContext = item.attach ? { ...item.attach } : null;
+    this.update();
+    this.focus();
+  }
+
+  saveQueuedEdit(text) {
+    const item = this.messageQueue.find((i) => i.id === this.editingQueueId);
+    if (item) {
+      item.text = text;
+      item.attach = this.attachContext ? { ...this.attachContext } : null;
+    }
+
+    this.editingQueueId = null;
     this.promptEditor.setText("");
-    this.isLoading = true;
-    this.currentText = "";
     this.attachContext = null;
-
-    etch.update(this).then(() => this.scrollToBottom());
-    this.connection.send(fullMessage);
+    this.onQueueChanged();
+    this.sendNextQueued();
     this.focus();
   }
 
+  onQueueChanged() {
+    etch.update(this);
+    this.saveCurrentSession();
+  }
+
   handleStop() {
     this.connection.kill();
+    this.queuePaused = this.messageQueue.length > 0;
+    this.permissionQueue = [];
+    this.closePermissionReview();
+    this.finalizeThinking();
     this.isLoading = false;
+    this.finishTurn();
     this.currentText = "";
     etch.update(this);
   }
 
   handleClear() {
+    this.editingQueueId = null;
     this.promptEditor?.setText("");
     this.clearAttachContext();
   }
@@ -692,31 +2094,348 @@ export default class ChatPanel {
 
   clearMessages() {
     this.messages = [];
+    this.pendingBranch = null;
+    this.pendingResumePoint = null;
     etch.update(this);
   }
 
+  /**
+   * Turn extended thinking on or off for this chat (restarts the CLI)
+   */
+  toggleThinking() {
+    this.handleEffortChange(this.thinkingBudget ? 0 : Config.thinkingBudget() || DEFAULT_THINKING_BUDGET);
+  }
+
+  /**
+   * Set the effort (extended thinking budget) of this chat; the CLI restarts
+   * and resumes the session
+   * @param {number} budget - Thinking tokens, 0 for no thinking
+   */
+  handleEffortChange(budget) {
+    if (this.thinkingBudget === budget) return;
+    if (this.isLoading) {
+      atom.notifications.addWarning("Stop the current response before changing the effort.");
+      return;
+    }
+    this.thinkingBudget = budget;
+    this.recreateConnection();
+  }
+
+  /**
+   * Switch the model of this chat; the CLI restarts and resumes the session
+   * @param {string} model - Alias, model ID, or "custom" to ask for an ID
+   */
+  async handleModelChange(model) {
+    if (this.isLoading) {
+      atom.notifications.addWarning("Stop the current response before changing the model.");
+      return;
+    }
+    if (model === "custom") {
+      const custom = await promptForText({
+        message: "Model alias or full model ID",
+        placeholder: "e.g. sonnet[1m] or a dated model ID",
+        initialText: this.model === "default" ? "" : this.model,
+      });
+      model = custom?.trim();
+      if (!model) return;
+    }
+    if (this.model === model || this.isLoading) return;
+    this.model = model;
+    this.recreateConnection();
+  }
+
+  renderContextMeter() {
+    if (!this.contextTokens) return null;
+    const percent = this.getContextPercent();
+    const level = this.getContextLevel(percent);
+    return (
+      <span
+        className={`context-meter ${level ? `context-${level}` : ""}`}
+        title={`Context: ${this.contextTokens.toLocaleString()} of ${getContextWindow(this.model).toLocaleString()} tokens. Click to compact.`}
+        on={{ click: () => this.compactContext() }}
+      >
+        <progress className="context-meter-bar" max={100} value={percent} />
+        <span className="context-meter-label">{`${percent}%`}</span>
+      </span>
+    );
+  }
+
+  renderCostBadge() {
+    const exceeded = this.getExceededBudgets();
+    const title = exceeded.length
+      ? exceeded.map((b) => b.message).join("\n")
+      : `Cost of this chat: ${formatCost(this.tokenUsage.cost)}`;
+    return (
+      <span
+        className={`cost-badge ${exceeded.length ? "over-budget" : ""}`}
+        title={title}
+        on={{ click: () => this.showTokenUsage() }}
+      >
+        {formatCost(this.tokenUsage.cost)}
+      </span>
+    );
+  }
+
+  renderEffortSelect() {
+    const efforts = [...Config.efforts];
+    if (!efforts.some((e) => e.value === this.thinkingBudget)) {
+      efforts.push({ value: this.thinkingBudget, label: `${this.thinkingBudget.toLocaleString()} thinking tokens` });
+    }
+    return (
+      <select
+        className="input-select effort-select"
+        title={
+          this.thinkingBudget
+            ? `Extended thinking on (${this.thinkingBudget.toLocaleString()} tokens)`
+            : "Extended thinking off"
+        }
+        on={{
+          change: async (e) => {
+            const select = e.target;
+            this.handleEffortChange(Number(select.value));
+            // Show the chat's effort again (e.g. when the change was refused)
+            await etch.update(this);
+            select.value = String(this.thinkingBudget);
+          },
+        }}
+      >
+        {efforts.map((effort) => (
+          <option value={String(effort.value)} selected={effort.value === this.thinkingBudget}>
+            {effort.label}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  renderModelSelect() {
+    const models = [...Config.models];
+    if (!models.some((m) => m.value === this.model)) {
+      models.push({ value: this.model, label: this.model });
+    }
+    return (
+      <select
+        className="input-select model-select"
+        title="Model for this chat"
+        on={{
+          change: async (e) => {
+            const select = e.target;
+            await this.handleModelChange(select.value);
+            // Show the chat's model again (e.g. when a custom entry was cancelled)
+            await etch.update(this);
+            select.value = this.model;
+          },
+        }}
+      >
+        {models.map((m) => (
+          <option value={m.value} selected={m.value === this.model}>
+            {m.label}
+          </option>
+        ))}
+        <option value="custom" selected={false}>
+          Custom...
+        </option>
+      </select>
+    );
+  }
+
   handlePermissionModeChange(mode) {
     if (this.permissionMode === mode) return;
     this.permissionMode = mode;
     this.recreateConnection();
   }
 
+  /**
+   * Current permission request (head of the queue)
+   */
+  get pendingPermission() {
+    return this.permissionQueue[0] || null;
+  }
+
+  /**
+   * Answer a queued permission request and remove it from the queue
+   */
+  resolvePermission(request, behavior, input = {}, message = "") {
+    const wasCurrent = request === this.pendingPermission;
+    this.connection.respondToPermission(request.requestId, behavior, input, message);
+    this.permissionQueue = this.permissionQueue.filter((r) => r !== request);
+    if (wasCurrent) {
+      this.isDenyingWithReason = false;
+    }
+    if (this.permissionReview?.requestId === request.requestId) {
+      this.closePermissionReview();
+    }
+  }
+
+  /**
+   * Drop queued requests (the process that asked is gone)
+   */
+  clearPermissionQueue() {
+    if (this.permissionQueue.length === 0) return;
+    this.permissionQueue = [];
+    this.isDenyingWithReason = false;
+    this.closePermissionReview();
+    etch.update(this);
+  }
+
   handlePermissionAccept() {
-    if (!this.pendingPermission) return;
-    const { requestId, input } = this.pendingPermission;
-    this.connection.respondToPermission(requestId, "allow", input);
-    this.pendingPermission = null;
+    const request = this.pendingPermission;
+    if (!request) return;
+    const review = this.getPermissionReview(request.requestId);
+    const updatedInput = review ? review.getUpdatedInput() : request.input;
+    this.resolvePermission(request, "allow", updatedInput);
     etch.update(this);
   }
 
   handlePermissionDeny() {
+    const request = this.pendingPermission;
+    if (!request) return;
+    this.resolvePermission(request, "deny", {}, "User denied permission");
+    etch.update(this);
+  }
+
+  /**
+   * Show the inline input for denying the current request with a reason
+   */
+  async handlePermissionDenyWithReason() {
     if (!this.pendingPermission) return;
-    const { requestId } = this.pendingPermission;
-    this.connection.respondToPermission(requestId, "deny", {}, "User denied permission");
-    this.pendingPermission = null;
+    this.isDenyingWithReason = true;
+    await etch.update(this);
+
+    const container = this.refs.denyReasonContainer;
+    if (container && !container.contains(this.denyReasonEditor.element)) {
+      container.appendChild(this.denyReasonEditor.element);
+    }
+    this.denyReasonEditor.element.focus();
+  }
+
+  /**
+   * Deny the current request with the typed reason
+   */
+  submitDenyReason() {
+    const request = this.pendingPermission;
+    const reason = this.denyReasonEditor.getText().trim();
+    this.cancelDenyReason();
+    if (!request) return;
+    this.resolvePermission(request, "deny", {}, reason || "User denied permission");
     etch.update(this);
   }
 
+  cancelDenyReason() {
+    this.isDenyingWithReason = false;
+    this.denyReasonEditor.setText("");
+    etch.update(this).then(() => this.focus());
+  }
+
+  /**
+   * Allow the current request and every queued request for the same tool
+   */
+  handlePermissionAllowTool() {
+    const current = this.pendingPermission;
+    if (!current) return;
+    this.handlePermissionAccept();
+    for (const request of [...this.permissionQueue]) {
+      if (request.toolName === current.toolName) {
+        this.resolvePermission(request, "allow", request.input);
+      }
+    }
+    etch.update(this);
+  }
+
+  /**
+   * Deny every queued request
+   */
+  handlePermissionDenyAll() {
+    for (const request of [...this.permissionQueue]) {
+      this.resolvePermission(request, "deny", {}, "User denied permission");
+    }
+    etch.update(this);
+  }
+
+  /**
+   * Save an "always allow" rule for this project and allow the pending request
+   */
+  async handlePermissionAlwaysAllow(rule) {
+    if (!this.pendingPermission) return;
+    const projectPath = this.projectPaths[0];
+    let saved = false;
+    if (!projectPath) {
+      atom.notifications.addWarning("Permission rule not saved", {
+        detail: "Rules are saved per project. Open a project folder to save them; this request is allowed once.",
+      });
+    } else {
+      try {
+        await addRule(projectPath, rule);
+        saved = true;
+      } catch (err) {
+        log.error("Failed to save permission rule", err);
+        atom.notifications.addError("Failed to save permission rule", { detail: err.message });
+      }
+    }
+    this.handlePermissionAccept();
+    if (saved) await this.allowQueuedByRules();
+  }
+
+  /**
+   * Allow the queued requests that the saved rules now cover
+   */
+  async allowQueuedByRules() {
+    for (const request of [...this.permissionQueue]) {
+      const rule = await findMatchingRule(this.projectPaths, request.toolName, request.input);
+      if (rule && this.permissionQueue.includes(request)) {
+        log.debug("Auto-allowed by rule", formatRule(rule));
+        this.resolvePermission(request, "allow", request.input);
+      }
+    }
+    etch.update(this);
+  }
+
+  /**
+   * Get the open diff review for a permission request, if any
+   */
+  getPermissionReview(requestId) {
+    return this.permissionReview?.requestId === requestId ? this.permissionReview : null;
+  }
+
+  /**
+   * Open the proposed Edit/Write change in a diff editor for review
+   */
+  async handlePermissionReview() {
+    if (!this.pendingPermission) return;
+    const { requestId, toolName, input } = this.pendingPermission;
+
+    const existing = this.getPermissionReview(requestId);
+    if (existing?.editor) {
+      atom.workspace.paneForItem(existing.editor)?.activateItem(existing.editor);
+      return;
+    }
+
+    this.closePermissionReview();
+    const review = new DiffReview({ requestId, toolName, input });
+    review.onDidAccept(() => this.handlePermissionAccept());
+    review.onDidDeny(() => this.handlePermissionDeny());
+    review.onDidChange(() => etch.update(this));
+    review.onDidDestroy(() => {
+      if (this.permissionReview === review) {
+        this.permissionReview = null;
+        etch.update(this);
+      }
+    });
+
+    this.permissionReview = review;
+    if (!(await review.open())) {
+      review.dispose();
+      if (this.permissionReview === review) this.permissionReview = null;
+    }
+    etch.update(this);
+  }
+
+  closePermissionReview() {
+    const review = this.permissionReview;
+    this.permissionReview = null;
+    review?.destroy();
+  }
+
   // ============================================================================
   // Render
   // ============================================================================
@@ -749,66 +2468,247 @@ export default class ChatPanel {
     );
   }
 
-  renderPermissionPrompt() {
-    if (!this.pendingPermission) return null;
-
-    const { toolName, input } = this.pendingPermission;
-
-    // Format input for display
-    let details = "";
+  /**
+   * Format permission request input for display
+   */
+  formatPermissionDetails(toolName, input) {
     if (toolName === "Write" && input?.file_path) {
-      details = input.file_path;
-    } else if (toolName === "Edit" && input?.file_path) {
-      details = input.file_path;
+      return input.file_path;
+    } else if ((toolName === "Edit" || toolName === "MultiEdit") && input?.file_path) {
+      return input.file_path;
     } else if (toolName === "Bash" && input?.command) {
-      details = input.command.length > 100 ? input.command.slice(0, 100) + "..." : input.command;
+      return input.command.length > 100 ? input.command.slice(0, 100) + "..." : input.command;
     } else if (input) {
       const keys = Object.keys(input);
       if (keys.length > 0) {
-        details = keys.slice(0, 2).map(k => `${k}: ${String(input[k]).slice(0, 50)}`).join(", ");
+        return keys.slice(0, 2).map(k => `${k}: ${String(input[k]).slice(0, 50)}`).join(", ");
       }
     }
+    return "";
+  }
+
+  renderMessageQueue() {
+    if (this.messageQueue.length === 0) return null;
+
+    const last = this.messageQueue.length - 1;
+
+    return (
+      <div className="message-queue">
+        <div className="message-queue-header">
+          <span className="icon icon-list-ordered">
+            Queued ({this.messageQueue.length})
+          </span>
+          {this.queuePaused ? (
+            <button
+              className="btn btn-xs icon icon-playback-play"
+              on={{ click: () => this.resumeQueue() }}
+            >
+              Resume
+            </button>
+          ) : null}
+        </div>
+        {this.messageQueue.map((item, i) => (
+          <div
+            className={`message-queue-item ${item.id === this.editingQueueId ? "editing" : ""}`}
+            key={item.id}
+          >
+            {item.attach ? (
+              <span className={`message-queue-attach icon-${item.attach.icon || "mention"}`} />
+            ) : null}
+            <span className="message-queue-text">{item.text || item.attach?.label}</span>
+            <div className="btn-group message-queue-actions">
+              <button
+                className="btn btn-xs icon icon-arrow-up"
+                disabled={i === 0}
+                on={{ click: () => this.moveQueuedMessage(item.id, -1) }}
+              />
+              <button
+                className="btn btn-xs icon icon-arrow-down"
+                disabled={i === last}
+                on={{ click: () => this.moveQueuedMessage(item.id, 1) }}
+              />
+              <button
+                className="btn btn-xs icon icon-pencil"
+                on={{ click: () => this.editQueuedMessage(item.id) }}
+              />
+              <button
+                className="btn btn-xs icon icon-x"
+                on={{ click: () => this.removeQueuedMessage(item.id) }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  renderPermissionPrompt() {
+    if (!this.pendingPermission) return null;
+
+    const { requestId, toolName, input, suggestions } = this.pendingPermission;
+    const review = this.getPermissionReview(requestId);
+    const reviewable = isReviewable(toolName, input);
+    // Rules are saved per project, so none are offered without a project folder
+    const rules = this.projectPaths[0] ? suggestionsToRules(suggestions, this.projectPaths[0]) : [];
+    const details = this.formatPermissionDetails(toolName, input);
+    const queued = this.permissionQueue.slice(1);
+    const total = this.permissionQueue.length;
 
     return (
       <div className="permission-prompt">
         <div className="permission-prompt-content">
           <span className="permission-prompt-icon icon-shield"></span>
           <div className="permission-prompt-text">
-            <strong>{toolName}</strong>
+            <strong>
+              {toolName}
+              {total > 1 ? <span className="permission-prompt-counter">1 of {total}</span> : null}
+            </strong>
             {details ? <span className="permission-prompt-details">{details}</span> : null}
+            {review?.isModified() ? (
+              <span className="permission-prompt-details">Allowing with your edits</span>
+            ) : null}
           </div>
         </div>
         <div className="permission-prompt-actions">
+          {reviewable ? (
+            <button
+              className={`btn icon icon-diff ${review ? "selected" : ""}`}
+              on={{ click: () => this.handlePermissionReview() }}
+            >
+              Review
+            </button>
+          ) : null}
           <button
             className="btn btn-success"
+            title="Allow (Alt+Y)"
             on={{ click: () => this.handlePermissionAccept() }}
           >
             Allow
           </button>
           <button
             className="btn btn-error"
+            title="Deny (Alt+N)"
             on={{ click: () => this.handlePermissionDeny() }}
           >
             Deny
           </button>
+          <button
+            className="btn btn-error icon icon-comment"
+            title="Deny with reason (Alt+R)"
+            on={{ click: () => this.handlePermissionDenyWithReason() }}
+          />
+        </div>
+        {this.isDenyingWithReason ? (
+          <div className="permission-deny-reason" ref="denyReasonContainer" />
+        ) : null}
+        {rules.length > 0 ? (
+          <div className="permission-prompt-rules">
+            {rules.map((rule) => (
+              <button
+                className="btn btn-sm icon icon-check"
+                on={{ click: () => this.handlePermissionAlwaysAllow(rule) }}
+              >
+                Always allow {describeRule(rule)}
+              </button>
+            ))}
+          </div>
+        ) : null}
+        {queued.length > 0 ? (
+          <div className="permission-prompt-queue">
+            {queued.map((request, i) => (
+              <div className="permission-queue-entry" key={request.requestId}>
+                <span className="permission-queue-index">{i + 2}.</span>
+                <span className="permission-queue-tool">{request.toolName}</span>
+                <span className="permission-queue-details">
+                  {this.formatPermissionDetails(request.toolName, request.input)}
+                </span>
+              </div>
+            ))}
+            <div className="permission-queue-actions">
+              <button
+                className="btn btn-sm"
+                on={{ click: () => this.handlePermissionAllowTool() }}
+              >
+                Allow all {toolName}
+              </button>
+              <button
+                className="btn btn-sm"
+                on={{ click: () => this.handlePermissionDenyAll() }}
+              >
+                Deny all
+              </button>
+            </div>
+          </div>
+        ) : null}
+      </div>
+    );
+  }
+
+  renderPendingBranch() {
+    return (
+      <div className="branch-pending">
+        <span className="icon icon-git-branch" />
+        <span className="branch-pending-text">
+          Starting a new branch. The previous version is kept and can be switched back to.
+        </span>
+        <button className="btn btn-xs" on={{ click: () => this.restorePendingBranch() }}>
+          Restore
+        </button>
+      </div>
+    );
+  }
+
+  renderFindBar() {
+    return (
+      <div className="claude-chat-find">
+        <div className="find-editor" ref="findContainer" />
+        <span className="find-count" ref="findCount" />
+        <div className="btn-group">
+          <button
+            className="btn icon icon-chevron-up"
+            title="Previous match (Shift+Enter)"
+            on={{ click: () => this.findNext(-1) }}
+          />
+          <button
+            className="btn icon icon-chevron-down"
+            title="Next match (Enter)"
+            on={{ click: () => this.findNext(1) }}
+          />
         </div>
+        <button
+          className="btn icon icon-x"
+          title="Close (Escape)"
+          on={{ click: () => this.hideFind() }}
+        />
       </div>
     );
   }
 
   render() {
     const isStreaming = this.isLoading || this.currentText;
-    const isEmpty = this.messages.length === 0 && !isStreaming && !this.pendingPermission;
+    const isEmpty =
+      this.messages.length === 0 && !isStreaming && !this.pendingPermission && !this.pendingBranch;
 
     return (
       <div className="claude-chat" tabIndex="-1">
-        <div className="claude-chat-messages" ref="messagesContainer">
+        {this.isFindVisible ? this.renderFindBar() : null}
+        <div
+          className="claude-chat-messages"
+          ref="messagesContainer"
+          on={{ click: (e) => this.handleMessagesClick(e) }}
+        >
+          <div className="find-overlay" ref="findOverlay" />
           {isEmpty ? renderWelcomePage() : null}
           {!isEmpty ? renderMessages(this.messages, this.toolHandlers, isStreaming) : null}
-          {renderStreamingMessage(this.currentText, this.isLoading)}
+          {this.pendingBranch && !isStreaming ? this.renderPendingBranch() : null}
+          {renderStreamingMessage(this.currentText, this.isLoading, {
+            preparingTool: this.preparingTool,
+            thinking: this.currentThinking,
+          })}
           {this.renderPermissionPrompt()}
         </div>
         <div className="claude-chat-input">
+          {this.renderMessageQueue()}
           <div className="editor-container" ref="editorContainer" />
           <div className="claude-chat-toolbar">
             {this.attachContext ? (
@@ -822,6 +2722,8 @@ export default class ChatPanel {
               </span>
             ) : null}
             <div className="toolbar-actions">
+              {this.renderModelSelect()}
+              {this.renderEffortSelect()}
               <div className="btn-group permission-mode">
                 {Config.permissionModes.map((mode) => (
                   <button
@@ -833,6 +2735,8 @@ export default class ChatPanel {
                   />
                 ))}
               </div>
+              {this.renderContextMeter()}
+              {this.renderCostBadge()}
               <div className="btn-group send-group">
                 {this.renderActionButton()}
               </div>
@@ -848,9 +2752,81 @@ export default class ChatPanel {
   // ============================================================================
 
   getTitle() {
+    if (this.title) return this.title;
+    if (this.summary) return this.summary;
+
+    const firstUserMsg = this.messages.find((m) => m.role === "user" && m.content);
+    if (firstUserMsg) {
+      const text = String(firstUserMsg.content).replace(/\s+/g, " ").trim();
+      return text.length > 30 ? text.slice(0, 30) + "..." : text;
+    }
     return "Claude";
   }
 
+  /**
+   * Name the chat with a model-written title after its first answer
+   * (once per chat; see title-generator)
+   */
+  async requestTitle() {
+    if (this.title || this.summary || this.titleRequested || !Config.generateTitles()) return;
+    const prompt = this.messages.find((m) => m.role === "user" && m.content);
+    const answer = this.messages.find((m) => m.role === "assistant" && m.content);
+    if (!prompt || !answer) return;
+
+    this.titleRequested = true;
+    try {
+      const { title, cost } = await generateTitle(prompt.content, answer.content);
+      if (cost) addCost(this.tokenUsage, cost);
+      if (title) {
+        this.summary = title;
+        this.updateTitle();
+      }
+      etch.update(this);
+      await this.saveCurrentSession();
+    } catch (err) {
+      log.error("Failed to generate chat title", err.message);
+    }
+  }
+
+  /**
+   * Notify the workspace when the computed title changes
+   */
+  updateTitle() {
+    const title = this.getTitle();
+    if (title !== this.lastTitle) {
+      this.lastTitle = title;
+      this.emitter.emit("did-change-title", title);
+    }
+  }
+
+  /**
+   * Ask for a custom chat name and save it with the session
+   */
+  async handleRename() {
+    const title = await promptForText({
+      message: "Rename chat (leave empty to reset)",
+      placeholder: "Chat name",
+      initialText: this.title || this.getTitle(),
+    });
+    if (title === null) return;
+
+    this.title = title.trim() || null;
+    this.updateTitle();
+    await this.saveCurrentSession();
+  }
+
+  /**
+   * Short description of the chat for pickers (first prompt or session ID)
+   */
+  getChatDescription() {
+    const firstUserMsg = this.messages.find((m) => m.role === "user");
+    if (firstUserMsg?.content) {
+      const text = String(firstUserMsg.content).replace(/\s+/g, " ");
+      return text.length > 60 ? text.slice(0, 60) + "..." : text;
+    }
+    return this.sessionId ? `Session ${this.sessionId.slice(0, 8)}` : "Empty chat";
+  }
+
   getIconName() {
     return "comment-discussion";
   }
@@ -888,6 +2864,13 @@ export default class ChatPanel {
     return this.emitter.on("did-receive-message", callback);
   }
 
+  /**
+   * Called with the props of a new chat when the user forks this one
+   */
+  onDidRequestFork(callback) {
+    return this.emitter.on("did-request-fork", callback);
+  }
+
   update(props) {
     if (props) {
       Object.assign(this.props, props);
@@ -916,40 +2899,76 @@ export default class ChatPanel {
     this.sessionId = sessionData.sessionId;
     this.projectPaths = sessionData.projectPaths || atom.project.getPaths();
     this.createdAt = sessionData.createdAt || new Date().toISOString();
-    this.tokenUsage = sessionData.tokenUsage || { input: 0, output: 0 };
+    this.tokenUsage = normalizeUsage(sessionData.tokenUsage);
+    this.contextTokens = sessionData.contextTokens || 0;
+    this.contextAlert = null;
+    this.title = sessionData.title || null;
+    this.summary = sessionData.summary || null;
+    this.parentSessionId = sessionData.parentSessionId || null;
+    this.model = sessionData.model || Config.model();
+    this.thinkingBudget = sessionData.thinkingBudget ?? Config.thinkingBudget();
+    this.connection.model = this.model;
+    this.connection.thinkingBudget = this.thinkingBudget;
+    this.savedSessionId = this.sessionId;
+    this.pendingResume = null;
+    this.pendingBranch = null;
+    this.messageQueue = sessionData.queuedMessages || [];
+    this.queuePaused = this.messageQueue.length > 0;
 
     // Update connection with session ID for resume
     this.connection.sessionId = this.sessionId;
 
+    this.updateTitle();
     etch.update(this);
     requestAnimationFrame(() => this.scrollToBottom());
+    this.refreshProjectSpend();
   }
 
   async destroy() {
     log.debug("Destroying ChatPanel", { sessionId: this.sessionId });
     await this.saveCurrentSession();
+    this.closePermissionReview();
     this.connection?.destroy();
     this.disposables?.dispose();
     this.tooltipDisposables?.dispose();
     this.emitter?.dispose();
     this.promptEditor?.destroy();
+    this.denyReasonEditor?.destroy();
+    this.findEditor?.destroy();
+    this.resizeObserver?.disconnect();
+    clearInterval(this.toolTimer);
     await etch.destroy(this);
   }
 
   async saveCurrentSession() {
     if (!this.sessionId || this.messages.length === 0) return;
 
-    const firstUserMsg = this.messages.find((m) => m.role === "user");
+    const messages = this.getMessagesToSave();
+    const firstUserMsg = messages.find((m) => m.role === "user");
     const firstMessage = firstUserMsg?.content || "";
 
     try {
+      // The chat moved to another CLI session (e.g. its first message was edited)
+      if (this.savedSessionId && this.savedSessionId !== this.sessionId) {
+        await moveCheckpoints(this.savedSessionId, this.sessionId);
+        await moveSession(this.savedSessionId, this.sessionId);
+      }
+      this.savedSessionId = this.sessionId;
+
       await saveSession({
         sessionId: this.sessionId,
         projectPaths: this.projectPaths,
         createdAt: this.createdAt,
         firstMessage,
-        messages: this.messages,
+        title: this.title,
+        summary: this.summary,
+        parentSessionId: this.parentSessionId,
+        model: this.model,
+        thinkingBudget: this.thinkingBudget,
+        messages,
         tokenUsage: this.tokenUsage,
+        contextTokens: this.contextTokens,
+        queuedMessages: this.messageQueue,
       });
     } catch (err) {
       console.error("Failed to save session:", err);
@@ -0,0 +1,78 @@
+/** @babel */
+
+import BaseList from "./components/base-list";
+
+/**
+ * ChatPicker lets the user choose one of the open chats (or a new one),
+ * e.g. as the target of an attach command.
+ * Extends BaseList for common functionality.
+ */
+export default class ChatPicker extends BaseList {
+  constructor(main) {
+    const self = { main, resolve: null };
+
+    super({
+      className: "claude-chat-picker",
+      emptyMessage: "No open chats",
+      maxResults: 50,
+      filterKeyForItem: (item) => item.label + " " + item.description,
+      didConfirmSelection: (item) => {
+        self.instance.hide();
+        self.instance.settle(item);
+      },
+      didCancelSelection: () => {
+        self.instance.settle(null);
+      },
+    });
+
+    // Store reference for closures
+    self.instance = this;
+    this._state = self;
+  }
+
+  /**
+   * Show the picker and wait for a choice
+   * @param {string} prompt - Text shown above the list
+   * @returns {Promise<Object|null>} { panel } or { isNew: true }, null if cancelled
+   */
+  pick(prompt) {
+    const { main } = this._state;
+    this.settle(null);
+
+    // Most recently focused chat first
+    const panels = main.getPanels().reverse();
+    const active = main.panel;
+    const activeIndex = panels.indexOf(active);
+    if (activeIndex !== -1) {
+      panels.unshift(...panels.splice(activeIndex, 1));
+    }
+
+    const items = panels.map((panel) => ({
+      label: panel.getTitle(),
+      description: panel === active ? "Active chat" : panel.getChatDescription(),
+      panel,
+    }));
+    items.push({ label: "New chat", description: "Open a new chat panel", isNew: true });
+
+    this.update({ items, infoMessage: prompt });
+    this.show();
+
+    return new Promise((resolve) => {
+      this._state.resolve = resolve;
+    });
+  }
+
+  /**
+   * Resolve the pending pick, if any
+   */
+  settle(value) {
+    const resolve = this._state.resolve;
+    this._state.resolve = null;
+    resolve?.(value);
+  }
+
+  destroy() {
+    this.settle(null);
+    super.destroy();
+  }
+}
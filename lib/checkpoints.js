@@ -0,0 +1,206 @@
+/** @babel */
+
+import fs from "fs";
+import path from "path";
+import { getCheckpointsDir } from "./session-store";
+import { countChanges } from "./utils/diff";
+import { joinPath } from "./utils/paths";
+
+const fsp = fs.promises;
+
+/**
+ * File checkpoints: what files looked like before Claude changed them in a turn.
+ * Each turn's checkpoint is stored next to the session file as
+ * <sessionId>.checkpoints/<checkpointId>.json: { files: { [path]: { existed, content, after } } }.
+ * Only the first snapshot of a file in a turn is kept; `after` is the state
+ * at the end of the turn (see recordTurnResult).
+ * Snapshots are read while the CLI waits before running the tool: at its
+ * permission request, or at the PreToolUse hook registered for EDIT_TOOL_NAMES
+ * (see ClaudeConnection), which also holds the tool in modes that don't ask.
+ */
+
+/**
+ * Input key holding the target path, per file-changing tool
+ */
+const EDIT_TOOLS = {
+  Edit: "file_path",
+  MultiEdit: "file_path",
+  Write: "file_path",
+  NotebookEdit: "notebook_path",
+};
+
+export const EDIT_TOOL_NAMES = Object.keys(EDIT_TOOLS);
+
+// Pending writes per checkpoint file, so snapshots of one turn don't race
+const writes = new Map();
+
+/**
+ * Get the file a tool call is going to change
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {string|null} Absolute path, or null for tools that don't change files
+ */
+export function getEditedPath(toolName, input, cwd) {
+  const filePath = input?.[EDIT_TOOLS[toolName]];
+  if (!filePath) return null;
+  return path.resolve(cwd || "", filePath);
+}
+
+export function createCheckpointId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function getCheckpointFile(sessionId, checkpointId) {
+  return joinPath(getCheckpointsDir(sessionId), `${checkpointId}.json`);
+}
+
+/**
+ * Load a checkpoint
+ * @returns {Object|null} { files } or null if not found
+ */
+export async function loadCheckpoint(sessionId, checkpointId) {
+  try {
+    const content = await fsp.readFile(getCheckpointFile(sessionId, checkpointId), "utf8");
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Read the current state of a file synchronously
+ * @returns {Object} { existed, content }
+ */
+export function readFileState(filePath) {
+  try {
+    return { existed: true, content: fs.readFileSync(filePath, "utf8") };
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    return { existed: false, content: null };
+  }
+}
+
+/**
+ * Change a checkpoint file, one change at a time
+ * @param {Function} update - Called with the checkpoint data; return false to skip writing
+ */
+function updateCheckpoint(sessionId, checkpointId, update) {
+  const file = getCheckpointFile(sessionId, checkpointId);
+  const write = (writes.get(file) || Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      const data = (await loadCheckpoint(sessionId, checkpointId)) || { files: {} };
+      if (update(data) === false) return;
+      await fsp.mkdir(getCheckpointsDir(sessionId), { recursive: true });
+      await fsp.writeFile(file, JSON.stringify(data), "utf8");
+    });
+
+  writes.set(file, write);
+  write
+    .finally(() => {
+      if (writes.get(file) === write) writes.delete(file);
+    })
+    .catch(() => {});
+  return write;
+}
+
+/**
+ * Record the state of a file before a tool call in a checkpoint
+ * @param {Object} snapshot - Result of readFileState
+ */
+export function snapshotFile(sessionId, checkpointId, filePath, snapshot) {
+  return updateCheckpoint(sessionId, checkpointId, (data) => {
+    if (data.files[filePath]) return false;
+    data.files[filePath] = snapshot;
+  });
+}
+
+/**
+ * Record what a turn's files look like at its end and count the changes.
+ * The files are read synchronously, so call this when the turn ends.
+ * @param {string[]} files - Files changed in the turn
+ * @returns {Object} { [path]: { added, removed } }
+ */
+export async function recordTurnResult(sessionId, checkpointId, files) {
+  const after = new Map();
+  for (const filePath of files) {
+    try {
+      after.set(filePath, readFileState(filePath));
+    } catch (err) {
+      // Unreadable now - leave it without an end state
+    }
+  }
+
+  const stats = {};
+  await updateCheckpoint(sessionId, checkpointId, (data) => {
+    for (const [filePath, state] of after) {
+      const before = data.files[filePath];
+      if (!before) continue;
+      before.after = state;
+      stats[filePath] = countChanges(before.content || "", state.content || "");
+    }
+  });
+  return stats;
+}
+
+/**
+ * Restore files to their state in the earliest checkpoint that has them
+ * @param {string[]} checkpointIds - Checkpoints, oldest first
+ * @returns {string[]} Restored paths
+ */
+export async function restoreCheckpoints(sessionId, checkpointIds) {
+  const states = new Map();
+  for (const id of checkpointIds) {
+    await writes.get(getCheckpointFile(sessionId, id));
+    const data = await loadCheckpoint(sessionId, id);
+    for (const [filePath, snapshot] of Object.entries(data?.files || {})) {
+      if (!states.has(filePath)) states.set(filePath, snapshot);
+    }
+  }
+
+  const restored = [];
+  for (const [filePath, snapshot] of states) {
+    if (snapshot.existed) {
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, snapshot.content, "utf8");
+    } else {
+      await fsp.rm(filePath, { force: true });
+    }
+    restored.push(filePath);
+  }
+
+  return restored;
+}
+
+/**
+ * Move checkpoints when a chat continues in another CLI session
+ */
+export async function moveCheckpoints(fromSessionId, toSessionId) {
+  const fromDir = getCheckpointsDir(fromSessionId);
+  let files;
+  try {
+    files = await fsp.readdir(fromDir);
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    throw err;
+  }
+
+  const toDir = getCheckpointsDir(toSessionId);
+  await fsp.mkdir(toDir, { recursive: true });
+  for (const file of files) {
+    await fsp.rename(joinPath(fromDir, file), joinPath(toDir, file));
+  }
+  await fsp.rm(fromDir, { recursive: true, force: true });
+}
+
+export default {
+  EDIT_TOOL_NAMES,
+  getEditedPath,
+  createCheckpointId,
+  loadCheckpoint,
+  readFileState,
+  snapshotFile,
+  recordTurnResult,
+  restoreCheckpoints,
+  moveCheckpoints,
+};
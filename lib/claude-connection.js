@@ -7,6 +7,9 @@ import { createLogger } from "./utils/log";
 
 const log = createLogger("Connection");
 
+// Callback ID of the PreToolUse hook (see initializeHooks)
+const PRE_TOOL_USE_HOOK = "pre-tool-use";
+
 /**
  * Connection states for explicit state machine
  */
@@ -37,15 +40,38 @@ const ERROR_MESSAGES = {
   },
 };
 
+/**
+ * Convert API usage to token counts
+ */
+function toUsage(usage) {
+  return {
+    input: usage.input_tokens || 0,
+    output: usage.output_tokens || 0,
+    cacheRead: usage.cache_read_input_tokens || 0,
+    cacheCreation: usage.cache_creation_input_tokens || 0,
+  };
+}
+
 /**
  * ClaudeConnection manages interactive streaming communication with Claude CLI.
  *
  * Events emitted:
  * - 'session' (sessionId) - Session ID received
+ * - 'init' ({slashCommands}) - CLI started; slash command names it supports
+ * - 'assistant-uuid' (uuid) - ID of a top-level assistant message (fork point)
  * - 'delta' (text) - Text content delta (for streaming display)
+ * - 'thinking-delta' (text) - Thinking content delta
+ * - 'assistant-thinking' (text) - Complete thinking block
+ * - 'tool-start' ({id, name}) - Tool use block started streaming (input not complete yet)
+ * - 'pre-tool-use' ({toolUseId, toolName, input}) - A hooked tool (see hookedTools) is about
+ *   to run; the CLI waits until the listeners have returned
  * - 'tool-use' ({id, name, input}) - Tool use started
  * - 'tool-result' ({toolUseId, content, isError}) - Tool result received
- * - 'usage' (usage) - Token usage update
+ * - 'usage' (usage) - Token usage of a completed turn ({input, output, cacheRead, cacheCreation})
+ * - 'message-usage' (usage) - Usage of a single API message while streaming (same shape;
+ *   sent on message start and again with the output count)
+ * - 'compact' ({trigger, preTokens}) - Conversation was compacted ("manual" or "auto")
+ * - 'cost' (usd) - Cost of the turn that just completed, in US dollars
  * - 'result' (text) - Final result
  * - 'error' (error) - Error occurred
  * - 'exit' (code) - Process exited
@@ -57,8 +83,18 @@ export default class ClaudeConnection {
     this.process = null;
     this.buffer = "";
     this.sessionId = options.sessionId || null;
+    // Fork the resumed session (optionally cut after an assistant message) on start
+    this.forkSession = options.forkSession || false;
+    this.resumeAt = options.resumeAt || null;
     this.permissionMode = options.permissionMode || Config.permissionMode();
+    this.model = options.model || Config.model();
+    // Extended thinking token budget (0 turns thinking off)
+    this.thinkingBudget = options.thinkingBudget || 0;
+    // Tools held by a PreToolUse hook until 'pre-tool-use' is handled
+    this.hookedTools = options.hookedTools || [];
     this.state = ConnectionState.IDLE;
+    // Cost already reported for the running process (see 'cost')
+    this.reportedCost = 0;
   }
 
   /**
@@ -102,12 +138,13 @@ export default class ClaudeConnection {
     }
 
     this.setState(ConnectionState.STARTING);
+    this.reportedCost = 0;
 
     const projectPaths = options.projectPaths || atom.project.getPaths();
     const cwd = projectPaths[0] || process.cwd();
     log.debug("Starting CLI", { cwd, sessionId: this.sessionId });
 
-    const model = Config.model();
+    const model = this.model;
     const permissionMode = this.permissionMode || Config.permissionMode();
 
     const args = [
@@ -157,22 +194,32 @@ export default class ClaudeConnection {
 
     if (this.sessionId) {
       args.push("--resume", this.sessionId);
+      if (this.resumeAt) {
+        args.push("--resume-session-at", this.resumeAt);
+      }
+      if (this.forkSession) {
+        args.push("--fork-session");
+      }
     }
 
     const claudePath = Config.claudePath();
 
+    // Set when off too, so thinking enabled in the CLI's own settings is turned off
+    const env = { ...process.env, MAX_THINKING_TOKENS: String(this.thinkingBudget || 0) };
+
     log.debug("Spawn args", args);
 
     try {
       this.process = spawn(claudePath, args, {
         cwd,
-        env: process.env,
+        env,
         stdio: ["pipe", "pipe", "pipe"],
       });
 
       this.setupHandlers();
       this.setState(ConnectionState.RUNNING);
       log.debug("Process started", { pid: this.process.pid });
+      this.initializeHooks();
       return this.process;
     } catch (err) {
       this.handleStartError(err, claudePath);
@@ -274,26 +321,25 @@ export default class ClaudeConnection {
     // Store session ID
     if (event.session_id && event.session_id !== this.sessionId) {
       this.sessionId = event.session_id;
+      // A forked session has its own ID from now on; later restarts just resume it
+      this.forkSession = false;
+      this.resumeAt = null;
       log.debug("Session ID set", event.session_id);
       this.emitter.emit("session", event.session_id);
     }
 
     switch (event.type) {
-      case "content_block_delta":
-        if (event.delta?.text) {
-          this.emitter.emit("delta", event.delta.text);
-        }
-        break;
-
-      case "content_block_start":
-        if (event.content_block?.type === "tool_use") {
-          this.emitter.emit("tool-start", event.content_block.name);
-        }
-        break;
-
       case "assistant":
+        if (event.uuid && !event.parent_tool_use_id) {
+          // The session has moved past the resume point; restarts resume its end
+          this.resumeAt = null;
+          this.emitter.emit("assistant-uuid", event.uuid);
+        }
         if (event.message?.content) {
           for (const block of event.message.content) {
+            if (block.type === "thinking" && block.thinking) {
+              this.emitter.emit("assistant-thinking", block.thinking);
+            }
             if (block.type === "text" && block.text) {
               this.emitter.emit("assistant-text", block.text);
             }
@@ -310,24 +356,21 @@ export default class ClaudeConnection {
 
       case "result":
         if (event.usage) {
-          this.emitter.emit("usage", {
-            input: event.usage.input_tokens || 0,
-            output: event.usage.output_tokens || 0,
-            cacheRead: event.usage.cache_read_input_tokens || 0,
-            cacheCreation: event.usage.cache_creation_input_tokens || 0,
-          });
+          this.emitter.emit("usage", toUsage(event.usage));
+        }
+        if (typeof event.total_cost_usd === "number") {
+          // The CLI reports the running total of the process
+          const total = event.total_cost_usd;
+          const cost = total >= this.reportedCost ? total - this.reportedCost : total;
+          this.reportedCost = total;
+          this.emitter.emit("cost", cost);
         }
         this.emitter.emit("result", event.result || "");
         break;
 
       case "usage":
         if (event.usage) {
-          this.emitter.emit("usage", {
-            input: event.usage.input_tokens || 0,
-            output: event.usage.output_tokens || 0,
-            cacheRead: event.usage.cache_read_input_tokens || 0,
-            cacheCreation: event.usage.cache_creation_input_tokens || 0,
-          });
+          this.emitter.emit("usage", toUsage(event.usage));
         }
         break;
 
@@ -346,10 +389,20 @@ export default class ClaudeConnection {
         break;
 
       case "system":
-        // System init events - ignore
+        if (event.subtype === "init") {
+          this.emitter.emit("init", { slashCommands: event.slash_commands || [] });
+        } else if (event.subtype === "compact_boundary") {
+          this.emitter.emit("compact", {
+            trigger: event.compact_metadata?.trigger || "auto",
+            preTokens: event.compact_metadata?.pre_tokens || 0,
+          });
+        }
         break;
 
       case "control_request":
+        if (event.request?.subtype === "hook_callback") {
+          this.handleHookCallback(event.request_id, event.request);
+        }
         // Permission prompt from Claude
         if (event.request?.subtype === "can_use_tool") {
           this.emitter.emit("permission-request", {
@@ -362,11 +415,23 @@ export default class ClaudeConnection {
         }
         break;
 
+      case "control_response":
+        // Answer to initializeHooks
+        if (event.response?.subtype === "error") {
+          log.error("Control request failed", event.response.error);
+        }
+        break;
+
+      case "content_block_start":
+      case "content_block_delta":
+        this.handleStreamEvent(event);
+        break;
+
       case "stream_event":
-        // Wrapper event containing nested event (message_delta, etc.)
-        // Extract usage if present
-        if (event.event?.usage) {
-          this.emitter.emit("usage", event.event.usage);
+        // API stream events (--include-partial-messages) come wrapped.
+        // Subagents stream their own messages; only the main thread is shown.
+        if (event.event && !event.parent_tool_use_id) {
+          this.handleStreamEvent(event.event);
         }
         break;
 
@@ -378,6 +443,92 @@ export default class ClaudeConnection {
     }
   }
 
+  /**
+   * Handle an API stream event (message_start, content_block_delta, ...)
+   */
+  handleStreamEvent(event) {
+    switch (event.type) {
+      case "content_block_start":
+        if (event.content_block?.type === "tool_use") {
+          this.emitter.emit("tool-start", {
+            id: event.content_block.id,
+            name: event.content_block.name,
+          });
+        }
+        break;
+
+      case "content_block_delta":
+        if (event.delta?.type === "text_delta" && event.delta.text) {
+          this.emitter.emit("delta", event.delta.text);
+        }
+        if (event.delta?.type === "thinking_delta" && event.delta.thinking) {
+          this.emitter.emit("thinking-delta", event.delta.thinking);
+        }
+        break;
+
+      // Per-message usage; the turn's totals come with the result event.
+      // message_start has the input and cache counts, message_delta the output.
+      case "message_start":
+        if (event.message?.usage) {
+          this.emitter.emit("message-usage", toUsage(event.message.usage));
+        }
+        break;
+
+      case "message_delta":
+        if (event.usage) {
+          this.emitter.emit("message-usage", toUsage(event.usage));
+        }
+        break;
+    }
+  }
+
+  /**
+   * Register the PreToolUse hook for hookedTools. The CLI calls it back with
+   * hook_callback requests and waits for the answer before running the tool.
+   */
+  initializeHooks() {
+    if (this.hookedTools.length === 0) return;
+    this.writeMessage({
+      type: "control_request",
+      request_id: `hooks-${Date.now()}`,
+      request: {
+        subtype: "initialize",
+        hooks: {
+          PreToolUse: [{ matcher: this.hookedTools.join("|"), hookCallbackIds: [PRE_TOOL_USE_HOOK] }],
+        },
+      },
+    });
+  }
+
+  /**
+   * Emit a hooked tool call, then let the CLI run it
+   */
+  handleHookCallback(requestId, request) {
+    const input = request.input || {};
+    try {
+      if (request.callback_id === PRE_TOOL_USE_HOOK) {
+        this.emitter.emit("pre-tool-use", {
+          toolUseId: request.tool_use_id || input.tool_use_id,
+          toolName: input.tool_name,
+          input: input.tool_input || {},
+        });
+      }
+    } finally {
+      this.writeMessage({
+        type: "control_response",
+        response: { subtype: "success", request_id: requestId, response: { continue: true } },
+      });
+    }
+  }
+
+  /**
+   * Write a message line to the CLI
+   */
+  writeMessage(message) {
+    if (!this.isRunning()) return;
+    this.process.stdin.write(JSON.stringify(message) + "\n");
+  }
+
   /**
    * Respond to a permission prompt
    * @param {string} requestId - The request ID to respond to
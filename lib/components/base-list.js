@@ -21,6 +21,8 @@ export default class BaseList {
    * @param {Object} config.listCommands - Commands for the select list element
    * @param {Object} config.workspaceCommands - Commands for atom-workspace
    * @param {Function} config.willShow - Called before showing list
+   * @param {Function} config.filter - Custom filter (items, query) => items
+   * @param {Function} config.didChangeQuery - Called when the query changes
    */
   constructor(config) {
     this.config = config;
@@ -36,6 +38,8 @@ export default class BaseList {
       removeDiacritics: config.removeDiacritics ?? true,
       willShow: config.willShow,
       helpMarkdown: config.helpMarkdown,
+      filter: config.filter,
+      didChangeQuery: config.didChangeQuery,
 
       elementForItem: (item, opts) => this.renderItem(item, opts),
       didConfirmSelection: (item) => this.onConfirm(item),
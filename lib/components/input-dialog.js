@@ -0,0 +1,60 @@
+/** @babel */
+
+import { CompositeDisposable } from "atom";
+
+/**
+ * Show a modal panel with a single-line input.
+ * @param {Object} options - Dialog options
+ * @param {string} options.message - Label shown above the input
+ * @param {string} options.placeholder - Placeholder text
+ * @param {string} options.initialText - Initial input text (selected)
+ * @returns {Promise<string|null>} Entered text, or null if cancelled
+ */
+export function promptForText({ message = "", placeholder = "", initialText = "" } = {}) {
+  return new Promise((resolve) => {
+    const previousFocus = document.activeElement;
+    const element = document.createElement("div");
+    element.classList.add("claude-chat-input-dialog");
+
+    if (message) {
+      const label = document.createElement("label");
+      label.classList.add("input-dialog-message");
+      label.textContent = message;
+      element.appendChild(label);
+    }
+
+    const editor = atom.workspace.buildTextEditor({ mini: true, placeholderText: placeholder });
+    editor.setText(initialText);
+    editor.selectAll();
+    element.appendChild(editor.element);
+
+    const panel = atom.workspace.addModalPanel({ item: element, visible: true });
+    const disposables = new CompositeDisposable();
+
+    let closed = false;
+    const close = (value) => {
+      if (closed) return;
+      closed = true;
+      disposables.dispose();
+      panel.destroy();
+      editor.destroy();
+      previousFocus?.focus?.();
+      resolve(value);
+    };
+
+    disposables.add(
+      atom.commands.add(editor.element, {
+        "core:confirm": () => close(editor.getText()),
+        "core:cancel": () => close(null),
+      })
+    );
+    // Cancel when focus leaves the dialog (like select lists do)
+    editor.element.addEventListener("blur", (event) => {
+      if (!element.contains(event.relatedTarget)) close(null);
+    });
+
+    editor.element.focus();
+  });
+}
+
+export default { promptForText };
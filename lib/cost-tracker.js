@@ -0,0 +1,252 @@
+/** @babel */
+
+import Config from "./utils/config";
+import { hasMatchingPath } from "./utils/paths";
+import { listSessions, onDidDeleteSession, onDidSaveSession } from "./session-store";
+
+/**
+ * Token and cost accounting for claude-chat.
+ * A chat's usage is stored in its session file as tokenUsage:
+ * { input, output, cacheRead, cacheCreation, cost, costByDay: { "YYYY-MM-DD": usd } }.
+ * Costs are the CLI's own figures (total_cost_usd), which include cache pricing.
+ */
+
+// Context window sizes; models with a "[1m]" suffix use the long context beta
+const CONTEXT_WINDOW = 200000;
+const LONG_CONTEXT_WINDOW = 1000000;
+
+// How long the spend read from the sessions directory is trusted; sessions
+// this window saves update it right away, other windows' on the next reload
+const SPEND_RELOAD_INTERVAL = 60000;
+
+// Spend of saved sessions: null until loaded
+let spendBySession = null; // sessionId -> { projectPaths, byDay }
+let lastSpendLoad = 0;
+let spendLoading = null;
+let spendSubscriptions = null;
+
+/**
+ * Create empty usage
+ */
+export function createUsage() {
+  return { input: 0, output: 0, cacheRead: 0, cacheCreation: 0, cost: 0, costByDay: {} };
+}
+
+/**
+ * Fill in fields missing from usage saved by older versions
+ */
+export function normalizeUsage(usage) {
+  return { ...createUsage(), ...(usage || {}), costByDay: { ...(usage?.costByDay || {}) } };
+}
+
+/**
+ * Add the token counts of a turn to usage (modified)
+ */
+export function addTokens(usage, tokens) {
+  usage.input += tokens.input || 0;
+  usage.output += tokens.output || 0;
+  usage.cacheRead += tokens.cacheRead || 0;
+  usage.cacheCreation += tokens.cacheCreation || 0;
+}
+
+/**
+ * Get the local day key of a date ("YYYY-MM-DD")
+ */
+export function getDayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Add the cost of a turn to usage (modified)
+ */
+export function addCost(usage, usd, date = new Date()) {
+  const day = getDayKey(date);
+  usage.cost += usd;
+  usage.costByDay[day] = (usage.costByDay[day] || 0) + usd;
+}
+
+/**
+ * Format US dollars ("$0.42", "<$0.01")
+ */
+export function formatCost(usd) {
+  if (!usd) return "$0.00";
+  if (usd < 0.01) return "<$0.01";
+  return `$${usd.toFixed(2)}`;
+}
+
+/**
+ * Get the context window size of a model
+ * @param {string} model - Alias or model ID
+ * @returns {number} Tokens
+ */
+export function getContextWindow(model) {
+  return /\[1m\]$/i.test(model || "") ? LONG_CONTEXT_WINDOW : CONTEXT_WINDOW;
+}
+
+/**
+ * Get the tokens of the context an API message was sent with
+ * (cached and uncached input; output only joins the context on the next message)
+ */
+export function getContextTokens(usage) {
+  return (usage.input || 0) + (usage.cacheRead || 0) + (usage.cacheCreation || 0);
+}
+
+/**
+ * Get a saved session's spend by day
+ */
+function getSessionSpend(session) {
+  const usage = session.tokenUsage;
+  if (!usage?.cost) return null;
+  // Sessions saved before daily tracking count on their last update
+  const byDay = usage.costByDay || { [getDayKey(new Date(session.updatedAt))]: usage.cost };
+  return { projectPaths: session.projectPaths || [], byDay };
+}
+
+function setSessionSpend(spend, session) {
+  const sessionSpend = getSessionSpend(session);
+  if (sessionSpend) {
+    spend.set(session.sessionId, sessionSpend);
+  } else {
+    spend.delete(session.sessionId);
+  }
+}
+
+/**
+ * Read the spend of all saved sessions. Sessions saved or deleted meanwhile
+ * keep what their events reported.
+ */
+async function loadSpend() {
+  const spend = new Map();
+  const changed = new Set();
+  const subscriptions = [
+    onDidSaveSession((session) => {
+      changed.add(session.sessionId);
+      setSessionSpend(spend, session);
+    }),
+    onDidDeleteSession((sessionId) => {
+      changed.add(sessionId);
+      spend.delete(sessionId);
+    }),
+  ];
+
+  try {
+    for (const session of await listSessions()) {
+      if (!changed.has(session.sessionId)) setSessionSpend(spend, session);
+    }
+  } catch (err) {
+    subscriptions.forEach((subscription) => subscription.dispose());
+    throw err;
+  }
+
+  spendSubscriptions?.forEach((subscription) => subscription.dispose());
+  spendSubscriptions = subscriptions;
+  spendBySession = spend;
+  lastSpendLoad = Date.now();
+}
+
+/**
+ * Load the spend once; afterwards reload it in the background when it may
+ * miss other windows' sessions
+ */
+async function ensureSpendLoaded() {
+  if (!spendLoading && Date.now() - lastSpendLoad > SPEND_RELOAD_INTERVAL) {
+    spendLoading = loadSpend().finally(() => {
+      spendLoading = null;
+    });
+    if (spendBySession) {
+      spendLoading.catch((err) => console.warn("Failed to reload project spend:", err));
+    }
+  }
+  if (!spendBySession) await spendLoading;
+}
+
+/**
+ * Total the spend of a project's saved chats by day
+ * @param {string[]} projectPaths - Project to report on
+ * @param {string[]} excludeSessionIds - Sessions to leave out (e.g. open chats counted separately)
+ * @returns {Promise<Object>} { [day]: usd }
+ */
+export async function getProjectSpendByDay(projectPaths, excludeSessionIds = []) {
+  await ensureSpendLoaded();
+  const byDay = {};
+  for (const [sessionId, spend] of spendBySession) {
+    if (excludeSessionIds.includes(sessionId)) continue;
+    if (projectPaths.length > 0 && !hasMatchingPath(spend.projectPaths, projectPaths)) continue;
+    for (const [day, usd] of Object.entries(spend.byDay)) {
+      byDay[day] = (byDay[day] || 0) + usd;
+    }
+  }
+  return byDay;
+}
+
+/**
+ * Stop following session changes and drop the spend held in memory
+ */
+export function disposeSpend() {
+  spendSubscriptions?.forEach((subscription) => subscription.dispose());
+  spendSubscriptions = null;
+  spendBySession = null;
+  lastSpendLoad = 0;
+}
+
+/**
+ * Build a Markdown spend report
+ * @param {string} projectName - Shown in the heading
+ * @param {Object} byDay - { [day]: usd }
+ */
+export function buildCostReport(projectName, byDay) {
+  const days = Object.keys(byDay).sort().reverse();
+  const total = days.reduce((sum, day) => sum + byDay[day], 0);
+  const lines = [
+    `# Claude spend: ${projectName}`,
+    "",
+    `Total: **${formatCost(total)}** over ${days.length} ${days.length === 1 ? "day" : "days"}`,
+    "",
+    "| Day | Cost |",
+    "| --- | ---: |",
+    ...days.map((day) => `| ${day} | ${formatCost(byDay[day])} |`),
+    "",
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * Describe the budgets that are exceeded
+ * @param {number} sessionCost - Spend of the chat
+ * @param {number} projectToday - Spend of the project today, over all chats
+ * @returns {Object[]} { kind: "session"|"project", message } per exceeded budget
+ */
+export function getExceededBudgets(sessionCost, projectToday) {
+  const exceeded = [];
+  const sessionBudget = Config.sessionBudget();
+  const dailyBudget = Config.dailyProjectBudget();
+  if (sessionBudget > 0 && sessionCost >= sessionBudget) {
+    exceeded.push({
+      kind: "session",
+      message: `This chat has cost ${formatCost(sessionCost)} (budget ${formatCost(sessionBudget)}).`,
+    });
+  }
+  if (dailyBudget > 0 && projectToday >= dailyBudget) {
+    exceeded.push({
+      kind: "project",
+      message: `The project has cost ${formatCost(projectToday)} today (budget ${formatCost(dailyBudget)}).`,
+    });
+  }
+  return exceeded;
+}
+
+export default {
+  createUsage,
+  normalizeUsage,
+  addTokens,
+  addCost,
+  getDayKey,
+  formatCost,
+  getContextWindow,
+  getContextTokens,
+  getProjectSpendByDay,
+  disposeSpend,
+  buildCostReport,
+  getExceededBudgets,
+};
@@ -0,0 +1,342 @@
+/** @babel */
+
+import { CompositeDisposable, Emitter, TextBuffer } from "atom";
+import { promises as fs } from "fs";
+import path from "path";
+import { diffLines, splitLines } from "./utils/diff";
+import { createLogger } from "./utils/log";
+
+const log = createLogger("DiffReview");
+
+/**
+ * Tools whose permission requests can be reviewed as a diff
+ */
+const REVIEWABLE_TOOLS = ["Edit", "MultiEdit", "Write"];
+
+/**
+ * Check if a permission request can be reviewed in a diff editor
+ */
+export function isReviewable(toolName, input) {
+  return REVIEWABLE_TOOLS.includes(toolName) && !!input?.file_path;
+}
+
+/**
+ * Get the list of edits from Edit/MultiEdit input
+ */
+export function getEdits(toolName, input) {
+  if (toolName === "MultiEdit") return input?.edits || [];
+  return [input || {}];
+}
+
+/**
+ * Apply Edit-style replacements to file content
+ * @returns {string|null} New content, or null if an old_string was not found
+ */
+export function applyEdits(content, edits) {
+  let result = content;
+  for (const edit of edits) {
+    const oldStr = edit.old_string || "";
+    const newStr = edit.new_string || "";
+    if (!oldStr) {
+      // Empty old_string creates a new file
+      if (result) return null;
+      result = newStr;
+      continue;
+    }
+    if (!result.includes(oldStr)) return null;
+    result = edit.replace_all
+      ? result.split(oldStr).join(newStr)
+      : result.replace(oldStr, () => newStr);
+  }
+  return result;
+}
+
+/**
+ * Find the line each edit starts at, applying the edits in order
+ * @param {string} original - File content before the edits
+ * @returns {Array<number|null>} 1-based start line per edit (null if not found)
+ */
+export function locateEdits(toolName, input, original) {
+  let content = original || "";
+  return getEdits(toolName, input).map((edit) => {
+    const index = edit.old_string ? content.indexOf(edit.old_string) : 0;
+    if (index === -1) return null;
+    const line = content.slice(0, index).split("\n").length;
+    content = applyEdits(content, [edit]) ?? content;
+    return line;
+  });
+}
+
+/**
+ * Compute the proposed file content for a permission request
+ * @returns {string|null} Proposed content, or null if the edit does not apply
+ */
+export function getProposedContent(toolName, input, original) {
+  if (toolName === "Write") return input?.content || "";
+  return applyEdits(original, getEdits(toolName, input));
+}
+
+function countOccurrences(text, search) {
+  let count = 0;
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(search, index + 1);
+  }
+  return count;
+}
+
+/**
+ * Build a single old_string/new_string pair turning original into edited.
+ * The changed region is grown line by line until old_string is unique.
+ */
+function buildReplacement(original, edited) {
+  const oldLines = splitLines(original);
+  const newLines = splitLines(edited);
+
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+  let endOld = oldLines.length;
+  let endNew = newLines.length;
+  while (endOld > start && endNew > start && oldLines[endOld - 1] === newLines[endNew - 1]) {
+    endOld--;
+    endNew--;
+  }
+
+  for (;;) {
+    const oldStr = oldLines.slice(start, endOld).join("\n");
+    if (oldStr && countOccurrences(original, oldStr) === 1) {
+      return { old_string: oldStr, new_string: newLines.slice(start, endNew).join("\n") };
+    }
+    if (start === 0 && endOld === oldLines.length) {
+      return { old_string: original, new_string: edited };
+    }
+    if (start > 0) start--;
+    if (endOld < oldLines.length) {
+      endOld++;
+      endNew++;
+    }
+  }
+}
+
+/**
+ * Highlight the lines of an editor that differ from original: added lines
+ * are decorated, removed lines are shown as block decorations.
+ * @returns {DisplayMarker[]} Markers of the decorations
+ */
+export function decorateDiff(editor, original) {
+  const markers = [];
+  const chunks = diffLines(original, editor.getText());
+  for (const chunk of chunks) {
+    if (chunk.type === "add") {
+      const marker = editor.markBufferRange(
+        [[chunk.newStart, 0], [chunk.newStart + chunk.lines.length - 1, 0]],
+        { invalidate: "never" }
+      );
+      editor.decorateMarker(marker, {
+        type: ["line", "line-number"],
+        class: "claude-chat-diff-added",
+      });
+      markers.push(marker);
+    } else if (chunk.type === "remove") {
+      const item = document.createElement("div");
+      item.classList.add("claude-chat-diff-removed");
+      item.textContent = chunk.lines.join("\n");
+      const marker = editor.markBufferPosition([chunk.newStart, 0], {
+        invalidate: "never",
+      });
+      editor.decorateMarker(marker, { type: "block", position: "before", item });
+      markers.push(marker);
+    }
+  }
+  return markers;
+}
+
+/**
+ * Build a scratch editor (never prompts to save) for a diff view
+ */
+function buildDiffEditor(filePath, text, title) {
+  const buffer = new TextBuffer({ text });
+  const editor = atom.workspace.buildTextEditor({ buffer, autoHeight: false });
+  const grammar = atom.grammars.selectGrammar(filePath, text);
+  if (grammar) {
+    atom.grammars.assignLanguageMode(buffer, grammar.scopeName);
+  }
+  editor.getTitle = () => title;
+  editor.getLongTitle = () => `${title} — ${filePath}`;
+  editor.shouldPromptToSave = () => false;
+  return editor;
+}
+
+/**
+ * Open a read-only view of modified, highlighted against original
+ * @param {Object} options - { filePath, original, modified, title }
+ */
+export async function openDiffView({ filePath, original, modified, title }) {
+  const editor = buildDiffEditor(filePath, modified, title || `Diff: ${path.basename(filePath)}`);
+  editor.setReadOnly(true);
+  editor.element.classList.add("claude-chat-diff");
+  const markers = decorateDiff(editor, original);
+  editor.onDidDestroy(() => markers.forEach((marker) => marker.destroy()));
+  await atom.workspace.open(editor, { split: "left" });
+  return editor;
+}
+
+/**
+ * DiffReview opens the proposed change of an Edit/Write permission request
+ * in a text editor, highlighting it against the file on disk. The user can
+ * tweak the text before accepting; getUpdatedInput() turns the result back
+ * into tool input for respondToPermission.
+ *
+ * Events emitted:
+ * - 'did-accept' - User accepted from the review editor
+ * - 'did-deny' - User denied from the review editor
+ * - 'did-change' - Review content changed
+ * - 'did-destroy' - Review editor closed
+ */
+export default class DiffReview {
+  constructor({ requestId, toolName, input }) {
+    this.requestId = requestId;
+    this.toolName = toolName;
+    this.input = input || {};
+    this.filePath = this.input.file_path;
+    this.original = "";
+    this.proposed = "";
+    this.editor = null;
+    this.markers = [];
+    this.emitter = new Emitter();
+    this.disposables = new CompositeDisposable();
+  }
+
+  /**
+   * Read the file on disk and open the review editor
+   * @returns {boolean} Whether the review could be opened
+   */
+  async open() {
+    try {
+      this.original = await fs.readFile(this.filePath, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        log.error("Failed to read file for review", err);
+        atom.notifications.addError(`Could not read ${this.filePath}`, { detail: err.message });
+        return false;
+      }
+      this.original = "";
+    }
+
+    const proposed = getProposedContent(this.toolName, this.input, this.original);
+    if (proposed === null) {
+      atom.notifications.addWarning("Cannot preview change", {
+        detail: `The text to replace was not found in ${this.filePath}.`,
+        dismissable: true,
+      });
+      return false;
+    }
+    this.proposed = proposed;
+
+    this.editor = buildDiffEditor(
+      this.filePath,
+      proposed,
+      `Review: ${path.basename(this.filePath)}`
+    );
+    this.editor.element.classList.add("claude-chat-review");
+
+    this.disposables.add(
+      this.editor.onDidStopChanging(() => {
+        this.updateDecorations();
+        this.emitter.emit("did-change");
+      }),
+      this.editor.onDidDestroy(() => {
+        this.editor = null;
+        this.emitter.emit("did-destroy");
+        this.dispose();
+      }),
+      atom.commands.add(this.editor.element, {
+        "claude-chat:review-accept": () => this.emitter.emit("did-accept"),
+        "claude-chat:review-deny": () => this.emitter.emit("did-deny"),
+      })
+    );
+
+    this.updateDecorations();
+    await atom.workspace.open(this.editor, { split: "left" });
+    return true;
+  }
+
+  /**
+   * Highlight added lines and show removed lines as block decorations
+   */
+  updateDecorations() {
+    if (!this.editor) return;
+    for (const marker of this.markers) marker.destroy();
+    this.markers = decorateDiff(this.editor, this.original);
+  }
+
+  /**
+   * Check if the user changed the proposed content
+   */
+  isModified() {
+    return !!this.editor && this.editor.getText() !== this.proposed;
+  }
+
+  /**
+   * Build tool input reflecting the reviewed content
+   */
+  getUpdatedInput() {
+    if (!this.isModified()) return this.input;
+
+    const edited = this.editor.getText();
+    if (this.toolName === "Write") {
+      return { ...this.input, content: edited };
+    }
+
+    const replacement = buildReplacement(this.original, edited);
+    if (this.toolName === "MultiEdit") {
+      return { file_path: this.filePath, edits: [replacement] };
+    }
+    return { file_path: this.filePath, ...replacement };
+  }
+
+  onDidAccept(callback) {
+    return this.emitter.on("did-accept", callback);
+  }
+
+  onDidDeny(callback) {
+    return this.emitter.on("did-deny", callback);
+  }
+
+  onDidChange(callback) {
+    return this.emitter.on("did-change", callback);
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on("did-destroy", callback);
+  }
+
+  /**
+   * Close the review editor
+   */
+  destroy() {
+    if (this.editor) {
+      const pane = atom.workspace.paneForItem(this.editor);
+      if (pane) {
+        pane.destroyItem(this.editor, true);
+      } else {
+        this.editor.destroy();
+      }
+    }
+    this.dispose();
+  }
+
+  dispose() {
+    for (const marker of this.markers) marker.destroy();
+    this.markers = [];
+    this.disposables.dispose();
+    this.emitter.dispose();
+  }
+}
@@ -0,0 +1,189 @@
+/** @babel */
+
+import { promises as fs } from "fs";
+import path from "path";
+
+/**
+ * Conversation export for claude-chat (Markdown, self-contained HTML, JSON).
+ * Works on the message structure kept in ChatPanel.messages.
+ */
+
+export const EXPORT_FORMATS = {
+  md: { name: "Markdown", extensions: ["md"] },
+  html: { name: "HTML", extensions: ["html"] },
+  json: { name: "JSON", extensions: ["json"] },
+};
+
+/**
+ * Wrap text in a code fence longer than any backtick run it contains
+ */
+function fence(text, lang = "") {
+  const runs = String(text).match(/`{3,}/g) || [];
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 2);
+  const ticks = "`".repeat(longest + 1);
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+/**
+ * Convert a tool result (string or content block array) to text
+ */
+export function resultToText(result) {
+  if (result === null || result === undefined) return "";
+  if (typeof result === "string") return result;
+  if (Array.isArray(result)) {
+    return result
+      .map((block) => {
+        if (block.type === "text") return block.text;
+        if (block.type === "image") return "[image]";
+        return JSON.stringify(block);
+      })
+      .join("\n");
+  }
+  return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Render the attach context of a user message as Markdown
+ */
+function formatAttach(attach) {
+  const filePath = attach.path || attach.paths?.[0];
+
+  if (attach.type === "selections" && attach.selections) {
+    const parts = attach.selections
+      .filter((s) => s.text)
+      .map((s) => `Lines ${s.range.start.row + 1}-${s.range.end.row + 1}:\n\n${fence(s.text)}`);
+    if (parts.length > 0) {
+      return `*Attached from \`${filePath}\`:*\n\n${parts.join("\n\n")}`;
+    }
+    const positions = attach.selections.map((s) => `${s.range.start.row + 1}:${s.range.start.column + 1}`);
+    return `*Cursors in \`${filePath}\`: ${positions.join(", ")}*`;
+  }
+  if (attach.type === "paths") {
+    const allPaths = attach.paths || (attach.path ? [attach.path] : []);
+    return `*Attached paths:*\n\n${allPaths.map((p) => `- \`${p}\``).join("\n")}`;
+  }
+  if (attach.type === "image") {
+    return `*Attached image: \`${filePath}\`*`;
+  }
+  return attach.label ? `*Attached: ${attach.label}*` : "";
+}
+
+/**
+ * Format a conversation as Markdown
+ * @param {Object} chat - { title, sessionId, createdAt, projectPaths, messages, tokenUsage }
+ */
+export function toMarkdown(chat) {
+  const lines = [`# ${chat.title || "Claude Chat"}`, ""];
+
+  if (chat.sessionId) lines.push(`- Session: \`${chat.sessionId}\``);
+  if (chat.createdAt) lines.push(`- Created: ${new Date(chat.createdAt).toLocaleString()}`);
+  if (chat.projectPaths?.length) lines.push(`- Projects: ${chat.projectPaths.join(", ")}`);
+  lines.push(`- Exported: ${new Date().toLocaleString()}`, "");
+
+  for (const msg of chat.messages) {
+    switch (msg.role) {
+      case "user":
+        lines.push("## You", "");
+        if (msg.attach) lines.push(formatAttach(msg.attach), "");
+        lines.push(msg.content || "", "");
+        break;
+      case "assistant":
+        lines.push("## Claude", "", msg.content || "", "");
+        break;
+      case "thinking":
+        lines.push("<details><summary>Thinking</summary>", "", msg.content || "", "", "</details>", "");
+        break;
+      case "tool": {
+        lines.push(`### Tool: ${msg.name}${msg.isError ? " (error)" : ""}`, "");
+        lines.push(fence(JSON.stringify(msg.input || {}, null, 2), "json"), "");
+        const result = resultToText(msg.result);
+        if (result) lines.push("Result:", "", fence(result), "");
+        break;
+      }
+      case "compact": {
+        const detail = msg.preTokens ? ` (${msg.preTokens.toLocaleString()} tokens summarized)` : "";
+        lines.push("---", "", `*Conversation compacted${detail}*`, "");
+        break;
+      }
+      case "error":
+        lines.push(`> **Error:** ${msg.content}`, "");
+        break;
+    }
+  }
+
+  const usage = chat.tokenUsage || {};
+  lines.push(
+    "---",
+    "",
+    `Token usage: ${(usage.input || 0).toLocaleString()} input, ${(usage.output || 0).toLocaleString()} output` +
+      (usage.cost ? `, cost $${usage.cost.toFixed(2)}` : ""),
+    ""
+  );
+
+  return lines.join("\n");
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 900px; margin: 2em auto; padding: 0 1em; line-height: 1.5; color: #24292f; }
+h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 0.2em; }
+h3 { color: #57606a; font-size: 1em; }
+pre { background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 6px; padding: 0.8em; overflow-x: auto; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.9em; }
+blockquote { color: #cf222e; border-left: 3px solid #cf222e; margin-left: 0; padding-left: 1em; }
+table { border-collapse: collapse; } th, td { border: 1px solid #d0d7de; padding: 4px 8px; }
+`;
+
+/**
+ * Format a conversation as a self-contained HTML document
+ */
+export function toHtml(chat) {
+  const body = atom.ui.markdown.render(toMarkdown(chat));
+  return [
+    "<!DOCTYPE html>",
+    "<html>",
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(chat.title || "Claude Chat")}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    "</head>",
+    "<body>",
+    body,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Format a conversation as raw JSON (same shape as session files)
+ */
+export function toJson(chat) {
+  return JSON.stringify({ ...chat, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+/**
+ * Detect export format from file extension (defaults to Markdown)
+ */
+export function formatForPath(filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  if (ext === "htm") return "html";
+  return EXPORT_FORMATS[ext] ? ext : "md";
+}
+
+/**
+ * Write a conversation to disk in the format matching the file extension
+ */
+export async function exportConversation(chat, filePath) {
+  const format = formatForPath(filePath);
+  const content =
+    format === "html" ? toHtml(chat) : format === "json" ? toJson(chat) : toMarkdown(chat);
+  await fs.writeFile(filePath, content, "utf8");
+  return format;
+}
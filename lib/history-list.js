@@ -1,9 +1,39 @@
 /** @babel */
 
 import BaseList, { highlightMatches } from "./components/base-list";
-import { listSessions, deleteSession, clearAllSessions, formatSessionForList, loadSession } from "./session-store";
-import ChatPanel from "./chat-panel";
-import Config from "./utils/config";
+import { listSessions, deleteSession, clearAllSessions, formatSessionForList } from "./session-store";
+
+/**
+ * Describe fork relationships between sessions
+ * @returns {Map<string, string>} sessionId -> e.g. 'fork of "Fix tests"', "2 forks"
+ */
+function describeBranches(sessions) {
+  const byId = new Map(sessions.map((s) => [s.sessionId, s]));
+  const forkCounts = new Map();
+  for (const session of sessions) {
+    if (session.parentSessionId) {
+      forkCounts.set(session.parentSessionId, (forkCounts.get(session.parentSessionId) || 0) + 1);
+    }
+  }
+
+  const result = new Map();
+  for (const session of sessions) {
+    const parts = [];
+    if (session.parentSessionId) {
+      const parent = byId.get(session.parentSessionId);
+      const name = parent && (parent.title || parent.summary || parent.firstMessage);
+      parts.push(name ? `fork of "${String(name).slice(0, 30)}"` : "fork");
+    }
+    const forks = forkCounts.get(session.sessionId);
+    if (forks) {
+      parts.push(forks === 1 ? "1 fork" : `${forks} forks`);
+    }
+    if (parts.length > 0) {
+      result.set(session.sessionId, parts.join(", "));
+    }
+  }
+  return result;
+}
 
 /**
  * HistoryList manages the chat session history select list.
@@ -81,6 +111,10 @@ export default class HistoryList extends BaseList {
           self.reload = true;
           self.instance.loadItems();
         },
+        "claude-chat:search-mode": () => {
+          self.instance.hide();
+          main.searchList.show();
+        },
       },
       workspaceCommands: {
         "claude-chat:history": () => self.instance.toggle(),
@@ -107,13 +141,18 @@ export default class HistoryList extends BaseList {
           "- **Ctrl+D** — Delete selected chat\n" +
           "- **Ctrl+0** — Toggle project/global mode " +
           (state.showAll ? "(P)" : "(G)") +
-          "\n- **F5** — Refresh list",
+          "\n- **F5** — Refresh list" +
+          "\n- **Ctrl+F** — Search inside all chats",
       });
 
       const projectPaths = state.showAll ? [] : atom.project.getPaths();
       const sessions = await listSessions(projectPaths);
 
+      const branches = describeBranches(sessions);
       state.items = sessions.map(formatSessionForList).map((item, index, arr) => {
+        if (branches.has(item.sessionId)) {
+          item.label += ` - ${branches.get(item.sessionId)}`;
+        }
         // Format: "description label" - message first for better scoring
         item.text = item.description + " " + item.label;
         // Recency bonus: earlier items (more recent) get higher bonus (1.2 → 1.0)
@@ -152,37 +191,6 @@ export default class HistoryList extends BaseList {
   }
 
   async openSession(sessionId) {
-    const main = this._state.main;
-    const sessionURI = `${ChatPanel.URI_PREFIX}/session/${sessionId}`;
-    const existingPane = atom.workspace.paneForURI(sessionURI);
-    if (existingPane) {
-      const item = existingPane.itemForURI(sessionURI);
-      if (item) {
-        existingPane.activateItem(item);
-        item.focus?.();
-        return;
-      }
-    }
-
-    const sessionData = await loadSession(sessionId);
-    if (!sessionData) {
-      atom.notifications.addError("Failed to load session.");
-      return;
-    }
-
-    // Reuse empty existing panel if available
-    if (main.panel?.canLoadSession()) {
-      main.panel.loadSession(sessionData);
-      const pane = atom.workspace.paneForItem(main.panel);
-      pane?.activateItem(main.panel);
-      requestAnimationFrame(() => main.panel?.focus());
-      return;
-    }
-
-    const location = Config.panelPosition();
-    main.panel = new ChatPanel(sessionData);
-
-    await atom.workspace.open(main.panel, { location });
-    requestAnimationFrame(() => main.panel?.focus());
+    await this._state.main.openSession(sessionId);
   }
 }
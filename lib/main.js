@@ -1,12 +1,16 @@
 /** @babel */
 
-import { CompositeDisposable, Disposable } from "atom";
+import { CompositeDisposable, Disposable, Emitter } from "atom";
 import ChatPanel from "./chat-panel";
+import ChatPicker from "./chat-picker";
 import HistoryList from "./history-list";
 import SlashList from "./slash-list";
+import RulesList from "./rules-list";
+import SearchList from "./search-list";
 import Config from "./utils/config";
-import { getRelativePath } from "./utils/paths";
+import { getBaseName, getRelativePath } from "./utils/paths";
 import { listSessions, loadSession } from "./session-store";
+import { buildCostReport, disposeSpend, getProjectSpendByDay } from "./cost-tracker";
 import { createLogger } from "./utils/log";
 
 const log = createLogger("Main");
@@ -16,13 +20,24 @@ let pulsarMcpService = null;
 
 export default {
   subscriptions: null,
+  emitter: null,
+  // Most recently focused chat (target for commands without an explicit chat)
   panel: null,
+  // All open chat panels
+  panels: null,
+  panelSubscriptions: null,
   historyList: null,
+  chatPicker: null,
   slashList: null,
+  rulesList: null,
+  searchList: null,
 
   activate() {
     log.debug("Activating claude-chat package");
     this.subscriptions = new CompositeDisposable();
+    this.emitter = new Emitter();
+    this.panels = new Set();
+    this.panelSubscriptions = new Map();
 
     // Register opener for atom://claude-chat URIs
     this.subscriptions.add(
@@ -39,11 +54,20 @@ export default {
     // Create slash command list (registers its own commands)
     this.slashList = new SlashList(this);
 
-    // Clear panel reference when destroyed (e.g., user closes tab)
+    // Picker for routing attach commands when several chats are open
+    this.chatPicker = new ChatPicker(this);
+
+    // Create permission rules list (registers its own commands)
+    this.rulesList = new RulesList(this);
+
+    // Create full-text session search (registers its own commands)
+    this.searchList = new SearchList(this);
+
+    // Unregister panel when destroyed (e.g., user closes tab)
     this.subscriptions.add(
       atom.workspace.onDidDestroyPaneItem(({ item }) => {
-        if (item === this.panel) {
-          this.panel = null;
+        if (item instanceof ChatPanel) {
+          this.unregisterPanel(item);
         }
       })
     );
@@ -65,6 +89,7 @@ export default {
         "claude-chat:new-chat": () => this.newChat(),
         "claude-chat:open-latest": () => this.openLatest(),
         "claude-chat:settings": () => this.openSettings(),
+        "claude-chat:cost-report": () => this.showCostReport(),
       }),
       atom.commands.add("atom-text-editor:not([mini])", {
         "editor:attach-to-claude": (e) => this.attachEditor(e),
@@ -80,8 +105,19 @@ export default {
     this.subscriptions?.dispose();
     this.historyList?.destroy();
     this.slashList?.destroy();
-    await this.panel?.destroy();
+    this.rulesList?.destroy();
+    this.searchList?.destroy();
+    disposeSpend();
+    this.chatPicker?.destroy();
+    const panels = [...(this.panels || [])];
+    for (const disposable of this.panelSubscriptions?.values() || []) {
+      disposable.dispose();
+    }
+    this.panelSubscriptions?.clear();
+    this.panels?.clear();
     this.panel = null;
+    await Promise.all(panels.map((panel) => panel.destroy()));
+    this.emitter?.dispose();
     pulsarMcpService = null;
   },
 
@@ -89,13 +125,96 @@ export default {
     return {};
   },
 
+  // ============================================================================
+  // Panel Registry
+  // ============================================================================
+
+  /**
+   * Create a chat panel and register it
+   * @param {Object} sessionData - Optional saved session to restore
+   */
+  createPanel(sessionData = {}) {
+    const panel = new ChatPanel(sessionData);
+    this.registerPanel(panel);
+    return panel;
+  },
+
+  registerPanel(panel) {
+    if (this.panels.has(panel)) return;
+    this.panels.add(panel);
+    this.panel = panel;
+
+    this.panelSubscriptions.set(
+      panel,
+      new CompositeDisposable(
+        // Forward responses from every chat to service subscribers
+        panel.onDidReceiveMessage((message) => {
+          this.emitter.emit("did-receive-message", { message, panel });
+        }),
+        panel.onDidRequestFork((props) => this.openFork(props))
+      )
+    );
+  },
+
+  /**
+   * Open a chat forked from another one (see ChatPanel.getForkProps)
+   */
+  async openFork(props) {
+    const location = Config.panelPosition();
+    const panel = this.createPanel(props);
+    await atom.workspace.open(panel, { location });
+    requestAnimationFrame(() => panel.focus());
+    return panel;
+  },
+
+  unregisterPanel(panel) {
+    this.panelSubscriptions.get(panel)?.dispose();
+    this.panelSubscriptions.delete(panel);
+    this.panels.delete(panel);
+    if (this.panel === panel) {
+      this.panel = [...this.panels].pop() || null;
+    }
+  },
+
+  /**
+   * Get all open chat panels (oldest first)
+   */
+  getPanels() {
+    return [...this.panels];
+  },
+
+  /**
+   * Find an open chat by session ID
+   */
+  findPanel(sessionId) {
+    if (!sessionId) return null;
+    return this.getPanels().find((panel) => panel.sessionId === sessionId) || null;
+  },
+
+  /**
+   * Find the chat panel containing a DOM element
+   */
+  panelForElement(element) {
+    return this.getPanels().find((panel) => panel.element.contains(element)) || null;
+  },
+
   getOrCreatePanel() {
     if (!this.panel) {
-      this.panel = new ChatPanel();
+      this.createPanel();
     }
     return this.panel;
   },
 
+  /**
+   * Show and activate an open chat panel
+   */
+  activatePanel(panel) {
+    const pane = atom.workspace.paneForItem(panel);
+    pane?.activateItem(panel);
+    atom.workspace.paneContainerForItem(panel)?.show?.();
+    this.panel = panel;
+  },
+
   async open() {
     const location = Config.panelPosition();
     const uri = this.panel?.getURI() || `${ChatPanel.URI_PREFIX}/panel`;
@@ -116,9 +235,10 @@ export default {
 
   async newChat() {
     const location = Config.panelPosition();
-    this.panel = new ChatPanel();
-    await atom.workspace.open(this.panel, { location });
-    requestAnimationFrame(() => this.panel?.focus());
+    const panel = this.createPanel();
+    await atom.workspace.open(panel, { location });
+    requestAnimationFrame(() => panel.focus());
+    return panel;
   },
 
   async openLatest() {
@@ -131,37 +251,63 @@ export default {
     }
 
     const latest = sessions[0]; // Already sorted by updatedAt, most recent first
-    const sessionId = latest.sessionId;
-
-    // Check if session is already open
-    const sessionURI = `${ChatPanel.URI_PREFIX}/session/${sessionId}`;
-    const existingPane = atom.workspace.paneForURI(sessionURI);
-    if (existingPane) {
-      const item = existingPane.itemForURI(sessionURI);
-      if (item) {
-        existingPane.activateItem(item);
-        item.focus?.();
-        return;
-      }
+    await this.openSession(latest.sessionId);
+  },
+
+  /**
+   * Open a saved session, activating it if it is already open
+   * @param {string} sessionId - Session to open
+   * @returns {ChatPanel|null} The panel showing the session
+   */
+  async openSession(sessionId) {
+    const existing = this.findPanel(sessionId);
+    if (existing) {
+      this.activatePanel(existing);
+      requestAnimationFrame(() => existing.focus());
+      return existing;
     }
 
-    // Load and open the session
     const sessionData = await loadSession(sessionId);
     if (!sessionData) {
       atom.notifications.addError("Failed to load session.");
-      return;
+      return null;
+    }
+
+    // Reuse empty existing panel if available
+    if (this.panel?.canLoadSession()) {
+      const panel = this.panel;
+      panel.loadSession(sessionData);
+      this.activatePanel(panel);
+      requestAnimationFrame(() => panel.focus());
+      return panel;
     }
 
     const location = Config.panelPosition();
-    this.panel = new ChatPanel(sessionData);
-    await atom.workspace.open(this.panel, { location });
-    requestAnimationFrame(() => this.panel?.focus());
+    const panel = this.createPanel(sessionData);
+    await atom.workspace.open(panel, { location });
+    requestAnimationFrame(() => panel.focus());
+    return panel;
   },
 
   openSettings() {
     atom.workspace.open("atom://config/packages/claude-chat");
   },
 
+  /**
+   * Open a Markdown report of the current project's spend by day
+   */
+  async showCostReport() {
+    const projectPaths = atom.project.getPaths();
+    // Open chats may have spent more than their session files show
+    await Promise.all([...this.panels].map((panel) => panel.saveCurrentSession()));
+
+    const byDay = await getProjectSpendByDay(projectPaths);
+    const name = projectPaths.map(getBaseName).join(", ") || "all projects";
+    const editor = await atom.workspace.open();
+    editor.setText(buildCostReport(name, byDay));
+    atom.grammars.assignLanguageMode(editor.getBuffer(), "source.gfm");
+  },
+
   getActiveChat() {
     return this.panel;
   },
@@ -170,12 +316,44 @@ export default {
     this.panel?.focus();
   },
 
-  async openAndAttach(context) {
-    const location = Config.panelPosition();
-    const uri = this.panel?.getURI() || `${ChatPanel.URI_PREFIX}/panel`;
-    await atom.workspace.open(uri, { location });
-    this.panel?.setAttachContext(context);
-    this.panel?.focus();
+  /**
+   * Attach context to a chat. With several chats open and no explicit
+   * target, the user picks the chat from a list.
+   * @param {Object} context - Attach context
+   * @param {ChatPanel} target - Optional chat to attach to
+   */
+  async openAndAttach(context, target = null) {
+    let panel = target;
+    if (!panel && this.panels.size > 1) {
+      const choice = await this.chatPicker.pick(`Attach ${context.label || "context"} to...`);
+      if (!choice) return null;
+      panel = choice.isNew ? await this.newChat() : choice.panel;
+    }
+
+    if (panel) {
+      this.activatePanel(panel);
+    } else {
+      const location = Config.panelPosition();
+      const uri = this.panel?.getURI() || `${ChatPanel.URI_PREFIX}/panel`;
+      await atom.workspace.open(uri, { location });
+      panel = this.panel;
+    }
+
+    panel?.setAttachContext(context);
+    panel?.focus();
+    return panel;
+  },
+
+  /**
+   * Resolve the chat addressed by a service call
+   * @param {string} sessionId - Optional session ID (opens the saved session if needed)
+   */
+  async resolveServiceTarget(sessionId) {
+    if (!sessionId) {
+      if (!this.panel) await this.toggle();
+      return this.panel;
+    }
+    return this.findPanel(sessionId) || (await this.openSession(sessionId));
   },
 
   attachEditor(event) {
@@ -252,31 +430,43 @@ export default {
   // Service API for other packages
   provideService() {
     return {
-      setAttachContext: async (context) => {
-        await this.openAndAttach(context);
-        return !!this.panel;
+      setAttachContext: async (context, options = {}) => {
+        const target = options.sessionId ? await this.resolveServiceTarget(options.sessionId) : null;
+        if (options.sessionId && !target) return false;
+        const panel = await this.openAndAttach(context, target);
+        return !!panel;
       },
-      clearAttachContext: () => {
-        this.panel?.clearAttachContext();
+      clearAttachContext: (options = {}) => {
+        const panel = options.sessionId ? this.findPanel(options.sessionId) : this.panel;
+        panel?.clearAttachContext();
       },
-      hasPanel: () => !!this.panel,
+      hasPanel: () => this.panels.size > 0,
+      listChats: () =>
+        this.getPanels().map((panel) => ({
+          sessionId: panel.sessionId,
+          title: panel.getTitle(),
+          isActive: panel === this.panel,
+        })),
       sendPrompt: async (text, options = {}) => {
         if (!text) return false;
 
-        if (!this.panel) {
-          await this.toggle();
-        }
+        const panel = await this.resolveServiceTarget(options.sessionId);
+        if (!panel) return false;
 
-        const sent = this.panel.sendPrompt(text, options.attachContext);
+        const sent = await panel.sendPrompt(text, options.attachContext);
 
         if (sent && options.focus !== false) {
-          this.panel.focus();
+          this.activatePanel(panel);
+          panel.focus();
         }
 
         return sent;
       },
-      onDidReceiveMessage: (callback) => {
-        return this.panel?.onDidReceiveMessage(callback);
+      onDidReceiveMessage: (callback, options = {}) => {
+        return this.emitter.on("did-receive-message", ({ message, panel }) => {
+          if (options.sessionId && panel.sessionId !== options.sessionId) return;
+          callback(message, { sessionId: panel.sessionId });
+        });
       },
     };
   },
@@ -3,6 +3,9 @@
 
 import etch from "etch";
 import { renderTool } from "./tool-renderers";
+import { getRelativePath } from "./utils/paths";
+import { grammarForLanguage, highlightCode } from "./utils/highlight";
+import { linkFileReferences } from "./utils/file-references";
 
 // Lazy initialize MathJax (same pattern as hydrogen-next)
 let mjInitialized = false;
@@ -79,12 +82,61 @@ function renderLatex(html) {
   return html;
 }
 
+function unescapeHtml(html) {
+  return html
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Hover actions of code blocks in assistant messages (handled by ChatPanel)
+const CODE_BLOCK_ACTIONS = [
+  { action: "copy", icon: "clippy", title: "Copy" },
+  { action: "insert", icon: "plus", title: "Insert at cursor" },
+  { action: "replace", icon: "pencil", title: "Replace selection" },
+  { action: "apply", icon: "diff", title: "Apply to file\u2026" },
+];
+
+const CODE_BLOCK_TOOLBAR =
+  '<div class="code-block-actions">' +
+  CODE_BLOCK_ACTIONS.map(
+    ({ action, icon, title }) =>
+      `<button class="btn btn-xs icon icon-${icon}" data-code-action="${action}" title="${title}"></button>`
+  ).join("") +
+  "</div>";
+
 /**
- * Render markdown with LaTeX support
+ * Highlight fenced code blocks with the grammar of their language
+ * @param {boolean} withActions - Wrap blocks with the hover action toolbar
  */
-function renderMarkdown(content) {
-  const html = atom.ui.markdown.render(content);
-  return renderLatex(html);
+function renderCodeBlocks(html, withActions) {
+  if (!html) return html;
+  return html.replace(
+    /<pre><code(?: class="language-([^"\s]+)")?>([\s\S]*?)<\/code><\/pre>/g,
+    (match, language, code) => {
+      const grammar = grammarForLanguage(language);
+      let block = match;
+      if (grammar) {
+        const text = unescapeHtml(code).replace(/\n$/, "");
+        block = `<pre class="syntax-highlighted"><code class="language-${language}">${highlightCode(text, grammar)}</code></pre>`;
+      }
+      return withActions ? `<div class="code-block">${CODE_BLOCK_TOOLBAR}${block}</div>` : block;
+    }
+  );
+}
+
+/**
+ * Render markdown with LaTeX support and highlighted code blocks
+ * @param {Object} options
+ * @param {boolean} options.codeActions - Add the action toolbar to code blocks
+ * @param {string[]} options.projectPaths - Link file references resolved against these
+ */
+function renderMarkdown(content, { codeActions = false, projectPaths = null } = {}) {
+  let html = renderCodeBlocks(renderLatex(atom.ui.markdown.render(content)), codeActions);
+  if (projectPaths) html = linkFileReferences(html, projectPaths);
+  return html;
 }
 
 /**
@@ -133,8 +185,9 @@ function renderAttachBadge(attach) {
 
 /**
  * Render a user message - preserve newlines as user typed them
+ * @param {*} actions - Optional action buttons shown in the header
  */
-export function renderUserMessage(msg, index) {
+export function renderUserMessage(msg, index, actions = null) {
   // Convert newlines to <br> before markdown processing to preserve user's formatting
   const withBreaks = msg.content.replace(/\n/g, "  \n");
   const html = renderMarkdown(withBreaks);
@@ -143,6 +196,7 @@ export function renderUserMessage(msg, index) {
       <div className="message-role">
         You
         {renderAttachBadge(msg.attach)}
+        {actions}
       </div>
       <div className="message-content message-markdown" innerHTML={html} />
     </div>
@@ -152,8 +206,11 @@ export function renderUserMessage(msg, index) {
 /**
  * Render an assistant message with markdown
  */
-export function renderAssistantMessage(msg, index) {
-  const html = renderMarkdown(msg.content);
+export function renderAssistantMessage(msg, index, handlers = null) {
+  const html = renderMarkdown(msg.content, {
+    codeActions: true,
+    projectPaths: handlers?.projectPaths() || [],
+  });
   return (
     <div className="message message-assistant" key={index}>
       <div className="message-content message-markdown" innerHTML={html} />
@@ -161,6 +218,50 @@ export function renderAssistantMessage(msg, index) {
   );
 }
 
+/**
+ * First line of thinking, shortened for the collapsed preview
+ */
+function getThinkingPreview(content) {
+  const line = (content || "").trim().split("\n")[0];
+  return line.length > 100 ? line.slice(0, 100) + "..." : line;
+}
+
+/**
+ * Render a thinking block (collapsed to a preview)
+ */
+export function renderThinkingMessage(msg, index) {
+  return (
+    <div className="message message-assistant message-thinking" key={index}>
+      <details className="thinking-block">
+        <summary className="thinking-header">
+          <span className="icon icon-light-bulb" />
+          <span className="thinking-label">Thinking</span>
+          <span className="thinking-preview">{getThinkingPreview(msg.content)}</span>
+        </summary>
+        <div className="thinking-content">
+          <pre>{msg.content}</pre>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+/**
+ * Render a compaction marker: earlier messages were replaced by a summary
+ */
+export function renderCompactMessage(msg, index) {
+  const how = msg.trigger === "manual" ? "Conversation compacted" : "Conversation compacted automatically";
+  return (
+    <div className="message message-compact" key={index}>
+      <span className="icon icon-fold" />
+      <span className="compact-label">{how}</span>
+      {msg.preTokens ? (
+        <span className="compact-detail">{`${msg.preTokens.toLocaleString()} tokens summarized`}</span>
+      ) : null}
+    </div>
+  );
+}
+
 /**
  * Render an error message
  */
@@ -177,7 +278,7 @@ export function renderErrorMessage(msg, index) {
 /**
  * Render the current streaming response wrapped in timeline
  */
-export function renderStreamingMessage(currentText, isLoading) {
+export function renderStreamingMessage(currentText, isLoading, { preparingTool = null, thinking = "" } = {}) {
   if (!currentText && !isLoading) return null;
 
   const html = currentText ? renderMarkdown(currentText) : "";
@@ -189,6 +290,22 @@ export function renderStreamingMessage(currentText, isLoading) {
         <div className="timeline-dot dot-assistant"></div>
         <div className="timeline-content">
           <div className="message message-assistant">
+            {thinking ? (
+              <div className="thinking-block thinking-streaming">
+                <div className="thinking-header">
+                  <span className="icon icon-light-bulb" />
+                  <span className="thinking-label">Thinking</span>
+                  <span className="streaming-indicator">
+                    <span className="dot"></span>
+                    <span className="dot"></span>
+                    <span className="dot"></span>
+                  </span>
+                </div>
+                <div className="thinking-content">
+                  <pre>{thinking}</pre>
+                </div>
+              </div>
+            ) : null}
             <div
               className="message-content message-markdown"
               innerHTML={html}
@@ -200,9 +317,9 @@ export function renderStreamingMessage(currentText, isLoading) {
                 <span className="dot"></span>
               </span>
             ) : null}
-            {isLoading && !currentText ? (
+            {isLoading && !currentText && !thinking ? (
               <div className="loading-indicator">
-                <span>Thinking</span>
+                <span>{preparingTool ? `Preparing ${preparingTool}` : "Thinking"}</span>
                 <span className="dot"></span>
                 <span className="dot"></span>
                 <span className="dot"></span>
@@ -217,25 +334,29 @@ export function renderStreamingMessage(currentText, isLoading) {
 
 /**
  * Group messages by user messages (user messages split the timeline)
+ * Groups keep the original message indices (used to reveal a message).
  */
 function groupMessagesByUser(messages) {
   const groups = [];
   let currentItems = [];
+  let currentIndices = [];
 
-  for (const msg of messages) {
+  messages.forEach((msg, index) => {
     if (msg.role === "user") {
       if (currentItems.length > 0) {
-        groups.push({ type: "response", items: currentItems });
+        groups.push({ type: "response", items: currentItems, indices: currentIndices });
         currentItems = [];
+        currentIndices = [];
       }
-      groups.push({ type: "user", message: msg });
+      groups.push({ type: "user", message: msg, index });
     } else {
       currentItems.push(msg);
+      currentIndices.push(index);
     }
-  }
+  });
 
   if (currentItems.length > 0) {
-    groups.push({ type: "response", items: currentItems });
+    groups.push({ type: "response", items: currentItems, indices: currentIndices });
   }
 
   return groups;
@@ -246,6 +367,8 @@ function groupMessagesByUser(messages) {
  */
 function getDotClass(msg) {
   if (msg.role === "assistant") return "dot-assistant";
+  if (msg.role === "thinking") return "dot-thinking";
+  if (msg.role === "compact") return "dot-compact";
   if (msg.role === "tool") return `dot-tool dot-${msg.name.toLowerCase()}`;
   if (msg.role === "error") return "dot-error";
   return "dot-default";
@@ -257,7 +380,11 @@ function getDotClass(msg) {
 function renderTimelineItem(msg, index, toolHandlers) {
   switch (msg.role) {
     case "assistant":
-      return renderAssistantMessage(msg, index);
+      return renderAssistantMessage(msg, index, toolHandlers);
+    case "thinking":
+      return renderThinkingMessage(msg, index);
+    case "compact":
+      return renderCompactMessage(msg, index);
     case "tool":
       return renderTool(msg, index, toolHandlers);
     case "error":
@@ -267,26 +394,152 @@ function renderTimelineItem(msg, index, toolHandlers) {
   }
 }
 
+/**
+ * Render the version switcher of a branch head ("< 2/3 >")
+ */
+function renderBranchSwitcher(msg, messageIndex, handlers) {
+  if (!msg.branches || !handlers?.switchBranch) return null;
+  const { tails, active } = msg.branches;
+
+  return (
+    <span className="branch-switcher">
+      <span
+        className={`icon icon-chevron-left ${active === 0 ? "disabled" : ""}`}
+        title="Previous version"
+        on={{ click: () => handlers.switchBranch(messageIndex, active - 1) }}
+      />
+      <span className="branch-count">{`${active + 1}/${tails.length}`}</span>
+      <span
+        className={`icon icon-chevron-right ${active === tails.length - 1 ? "disabled" : ""}`}
+        title="Next version"
+        on={{ click: () => handlers.switchBranch(messageIndex, active + 1) }}
+      />
+    </span>
+  );
+}
+
+/**
+ * Render the action buttons of a user message
+ */
+function renderUserMessageActions(msg, messageIndex, handlers) {
+  if (!handlers) return null;
+  return (
+    <span className="message-actions">
+      {renderBranchSwitcher(msg, messageIndex, handlers)}
+      {handlers.edit ? (
+        <span
+          className="icon icon-pencil"
+          title="Edit and resend"
+          on={{ click: () => handlers.edit(messageIndex) }}
+        />
+      ) : null}
+      {handlers.fork ? (
+        <span
+          className="icon icon-repo-forked"
+          title="Fork from here"
+          on={{ click: () => handlers.fork(messageIndex) }}
+        />
+      ) : null}
+    </span>
+  );
+}
+
 /**
  * Render a user message block (standalone, outside timeline)
  */
-function renderUserMessageBlock(msg, index) {
+function renderUserMessageBlock(msg, index, messageIndex, handlers) {
+  return (
+    <div
+      className="user-message-block"
+      key={`user-${index}`}
+      attributes={{ "data-message-index": String(messageIndex) }}
+    >
+      {renderUserMessage(msg, index, renderUserMessageActions(msg, messageIndex, handlers))}
+    </div>
+  );
+}
+
+/**
+ * Render the changed-files summary card of a finished turn
+ * @param {Object} turn - { message, index, hasLater } - the turn's user message
+ */
+function renderTurnChanges(turn, handlers) {
+  const checkpoint = turn?.message.checkpoint;
+  if (!checkpoint?.files.length || !handlers?.revertTurn) return null;
+
+  const stats = checkpoint.stats || {};
+  const totals = Object.values(stats).reduce(
+    (sum, s) => ({ added: sum.added + s.added, removed: sum.removed + s.removed }),
+    { added: 0, removed: 0 }
+  );
+  const count = checkpoint.files.length;
+
   return (
-    <div className="user-message-block" key={`user-${index}`}>
-      {renderUserMessage(msg, index)}
+    <div className="turn-changes">
+      <div className="turn-changes-header">
+        <span className="icon icon-diff" />
+        <span className="turn-changes-title">
+          {count === 1 ? "1 file changed" : `${count} files changed`}
+        </span>
+        {checkpoint.stats ? renderLineCounts(totals) : null}
+        <span className="turn-changes-actions">
+          <a title="Stage these files in git" on={{ click: () => handlers.stageTurn(turn.index) }}>
+            Stage
+          </a>
+          <a
+            title="Restore the files changed in this turn"
+            on={{ click: () => handlers.revertTurn(turn.index) }}
+          >
+            Revert this turn
+          </a>
+          {turn.hasLater ? (
+            <a
+              title="Restore the files changed in this and all later turns"
+              on={{ click: () => handlers.revertToHere(turn.index) }}
+            >
+              Revert to here
+            </a>
+          ) : null}
+        </span>
+      </div>
+      <ul className="turn-changes-files">
+        {checkpoint.files.map((filePath) => (
+          <li
+            key={filePath}
+            title="Show the changes of this turn"
+            on={{ click: () => handlers.openTurnDiff(turn.index, filePath) }}
+          >
+            <span className="turn-changes-path">{getRelativePath(filePath)}</span>
+            {stats[filePath] ? renderLineCounts(stats[filePath]) : null}
+          </li>
+        ))}
+      </ul>
     </div>
   );
 }
 
+function renderLineCounts({ added, removed }) {
+  return (
+    <span className="line-counts">
+      <span className="lines-added">{`+${added}`}</span>
+      <span className="lines-removed">{`-${removed}`}</span>
+    </span>
+  );
+}
+
 /**
  * Render a response sequence with timeline
  * @param {boolean} hasMoreContent - true if streaming/more content follows this sequence
+ * @param {number[]} indices - Message indices of the items
+ * @param {Object} turn - User message the sequence responds to (see renderTurnChanges)
  */
 function renderResponseSequence(
   items,
   groupIndex,
   toolHandlers,
-  hasMoreContent = false
+  hasMoreContent = false,
+  indices = [],
+  turn = null
 ) {
   return (
     <div className="response-sequence" key={`response-${groupIndex}`}>
@@ -300,15 +553,22 @@ function renderResponseSequence(
           <div
             className={`timeline-item ${isTimelineLast ? "timeline-last" : ""}`}
             key={i}
+            attributes={{ "data-message-index": String(indices[i]) }}
           >
             <div className={`timeline-dot ${dotClass}`}></div>
             <div className="timeline-line"></div>
             <div className="timeline-content">
+              {item.branches ? (
+                <div className="branch-switcher-row">
+                  {renderBranchSwitcher(item, indices[i], toolHandlers)}
+                </div>
+              ) : null}
               {renderTimelineItem(item, i, toolHandlers)}
             </div>
           </div>
         );
       })}
+      {!hasMoreContent ? renderTurnChanges(turn, toolHandlers) : null}
     </div>
   );
 }
@@ -319,12 +579,15 @@ function renderResponseSequence(
  */
 export function renderMessages(messages, toolHandlers, isStreaming = false) {
   const groups = groupMessagesByUser(messages);
+  const lastCheckpoint = messages.map((m) => !!m.checkpoint).lastIndexOf(true);
+  let turn = null;
 
   return groups.map((group, groupIndex) => {
     const isLastGroup = groupIndex === groups.length - 1;
 
     if (group.type === "user") {
-      return renderUserMessageBlock(group.message, groupIndex);
+      turn = { message: group.message, index: group.index, hasLater: group.index < lastCheckpoint };
+      return renderUserMessageBlock(group.message, groupIndex, group.index, toolHandlers);
     } else {
       // If this is the last response group and streaming is active, show connecting line
       const hasMoreContent = isLastGroup && isStreaming;
@@ -332,7 +595,9 @@ export function renderMessages(messages, toolHandlers, isStreaming = false) {
         group.items,
         groupIndex,
         toolHandlers,
-        hasMoreContent
+        hasMoreContent,
+        group.indices,
+        turn
       );
     }
   });
@@ -368,6 +633,15 @@ export function renderWelcomePage() {
             </ul>
           </div>
 
+          <div className="tip-section">
+            <h3>Permission Prompts</h3>
+            <ul>
+              <li><kbd>Alt+Y</kbd> Allow request</li>
+              <li><kbd>Alt+N</kbd> Deny request</li>
+              <li><kbd>Alt+R</kbd> Deny with reason</li>
+            </ul>
+          </div>
+
           <div className="tip-section tip-section-list">
             <h3>Attach Context</h3>
             <ul>
@@ -0,0 +1,259 @@
+/** @babel */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { joinPath, getRelativePath, pathsEqual } from "./utils/paths";
+
+const RULES_FILE_NAME = "claude-chat-permissions.json";
+
+/**
+ * Tools covered by an Edit(...) rule (same grouping as Claude CLI settings)
+ */
+const EDIT_TOOLS = ["Edit", "MultiEdit", "Write", "NotebookEdit"];
+
+/**
+ * Shell metacharacters that chain, background or redirect commands; a
+ * prefix rule only matches commands without any of them
+ */
+const SHELL_METACHAR_PATTERN = /[&|;<>`\n\r]|\$\(/;
+
+// In-memory copy of the rules file: { projects: { [projectPath]: rule[] } }
+let cache = null;
+
+/**
+ * Get the rules file path in Pulsar config
+ */
+function getRulesFile() {
+  return joinPath(atom.getConfigDirPath(), RULES_FILE_NAME);
+}
+
+async function readRules() {
+  if (cache) return cache;
+  try {
+    const content = await fs.readFile(getRulesFile(), "utf8");
+    cache = JSON.parse(content);
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn("Failed to read permission rules:", err);
+    }
+    cache = {};
+  }
+  cache.projects = cache.projects || {};
+  return cache;
+}
+
+async function writeRules(data) {
+  cache = data;
+  await fs.writeFile(getRulesFile(), JSON.stringify(data, null, 2), "utf8");
+}
+
+/**
+ * Find the stored key for a project path (paths compare case-insensitively)
+ */
+function findProjectKey(data, projectPath) {
+  return Object.keys(data.projects).find((key) => pathsEqual(key, projectPath));
+}
+
+/**
+ * Format a rule the way Claude CLI settings write it, e.g. "Bash(npm test:*)"
+ */
+export function formatRule(rule) {
+  return rule.ruleContent ? `${rule.toolName}(${rule.ruleContent})` : rule.toolName;
+}
+
+/**
+ * Human-readable label for an "always allow" button
+ */
+export function describeRule(rule) {
+  if (rule.toolName === "Edit" && rule.ruleContent?.endsWith("/**")) {
+    return `edits in ${rule.ruleContent.slice(0, -2)}`;
+  }
+  return formatRule(rule);
+}
+
+/**
+ * Convert CLI permission_suggestions into allow rules.
+ * Supports "addRules" (allow behavior) and "addDirectories" updates.
+ * @param {Object[]} suggestions - permission_suggestions from a can_use_tool request
+ * @param {string} projectPath - Project root used to relativize directories
+ * @returns {Object[]} Rules: { toolName, ruleContent }
+ */
+export function suggestionsToRules(suggestions, projectPath) {
+  const rules = [];
+  for (const suggestion of suggestions || []) {
+    if (suggestion.type === "addRules" && suggestion.behavior === "allow") {
+      for (const rule of suggestion.rules || []) {
+        if (rule.toolName) {
+          rules.push({ toolName: rule.toolName, ruleContent: rule.ruleContent || null });
+        }
+      }
+    } else if (suggestion.type === "addDirectories") {
+      for (const dir of suggestion.directories || []) {
+        const relative = projectPath ? getRelativePath(dir, [projectPath]) : dir;
+        const base = (relative || ".").replace(/\/+$/, "");
+        rules.push({ toolName: "Edit", ruleContent: `${base}/**` });
+      }
+    }
+  }
+
+  // Drop duplicates (the CLI may suggest the same rule twice)
+  const seen = new Set();
+  return rules.filter((rule) => {
+    const key = formatRule(rule);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Convert a gitignore-style glob to a RegExp (supports **, * and ?)
+ */
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") {
+        // "**/" is zero or more whole directories, so "**/a" doesn't match "xa"
+        source += "(?:.*/)?";
+        i++;
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function matchesPathRule(ruleContent, filePath, projectPath) {
+  if (!filePath) return false;
+  const absolute = path.resolve(projectPath || "", filePath).replace(/\\/g, "/");
+  if (path.isAbsolute(ruleContent)) {
+    return globToRegExp(ruleContent.replace(/\\/g, "/")).test(absolute);
+  }
+  if (!projectPath) return false;
+  const relative = path.relative(projectPath, absolute).replace(/\\/g, "/");
+  if (relative.startsWith("..")) return false;
+  return globToRegExp(ruleContent.replace(/^\.\//, "")).test(relative);
+}
+
+function matchesBashRule(ruleContent, command) {
+  if (!command) return false;
+  const trimmed = command.trim();
+  if (ruleContent.endsWith(":*")) {
+    const prefix = ruleContent.slice(0, -2);
+    if (SHELL_METACHAR_PATTERN.test(trimmed)) return false;
+    return trimmed === prefix || trimmed.startsWith(prefix + " ");
+  }
+  return trimmed === ruleContent;
+}
+
+function matchesWebFetchRule(ruleContent, url) {
+  if (!url || !ruleContent.startsWith("domain:")) return false;
+  try {
+    return new URL(url).hostname === ruleContent.slice("domain:".length);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check if a rule allows a tool call
+ * @param {Object} rule - { toolName, ruleContent }
+ * @param {string} toolName - Requested tool
+ * @param {Object} input - Tool input
+ * @param {string} projectPath - Project root the rule belongs to
+ */
+export function ruleMatches(rule, toolName, input, projectPath) {
+  const isEditRule = rule.toolName === "Edit" && EDIT_TOOLS.includes(toolName);
+  if (rule.toolName !== toolName && !isEditRule) return false;
+  if (!rule.ruleContent) return true;
+
+  if (isEditRule || toolName === "Read") {
+    const filePath = input?.file_path || input?.notebook_path || input?.path;
+    return matchesPathRule(rule.ruleContent, filePath, projectPath);
+  }
+  if (toolName === "Bash") return matchesBashRule(rule.ruleContent, input?.command);
+  if (toolName === "WebFetch") return matchesWebFetchRule(rule.ruleContent, input?.url);
+
+  // Unknown rule syntax - never auto-allow
+  return false;
+}
+
+/**
+ * List saved rules for the given projects
+ * @param {string[]} projectPaths - Projects to include (empty = all)
+ * @returns {Object[]} Rules with their projectPath
+ */
+export async function listRules(projectPaths = []) {
+  const data = await readRules();
+  const rules = [];
+  for (const [projectPath, projectRules] of Object.entries(data.projects)) {
+    if (projectPaths.length > 0 && !projectPaths.some((p) => pathsEqual(p, projectPath))) {
+      continue;
+    }
+    for (const rule of projectRules) {
+      rules.push({ ...rule, projectPath });
+    }
+  }
+  return rules;
+}
+
+/**
+ * Find a saved rule allowing this tool call
+ * @returns {Object|null} Matching rule or null
+ */
+export async function findMatchingRule(projectPaths, toolName, input) {
+  const rules = await listRules(projectPaths);
+  return rules.find((rule) => ruleMatches(rule, toolName, input, rule.projectPath)) || null;
+}
+
+/**
+ * Save an allow rule for a project
+ */
+export async function addRule(projectPath, rule) {
+  const data = await readRules();
+  const key = findProjectKey(data, projectPath) || projectPath;
+  const projectRules = data.projects[key] || [];
+  const formatted = formatRule(rule);
+
+  if (!projectRules.some((r) => formatRule(r) === formatted)) {
+    projectRules.push({
+      toolName: rule.toolName,
+      ruleContent: rule.ruleContent || null,
+      createdAt: new Date().toISOString(),
+    });
+  }
+  data.projects[key] = projectRules;
+  await writeRules(data);
+}
+
+/**
+ * Revoke a saved rule
+ * @returns {boolean} Whether a rule was removed
+ */
+export async function removeRule(projectPath, rule) {
+  const data = await readRules();
+  const key = findProjectKey(data, projectPath);
+  if (!key) return false;
+
+  const formatted = formatRule(rule);
+  const remaining = data.projects[key].filter((r) => formatRule(r) !== formatted);
+  if (remaining.length === data.projects[key].length) return false;
+
+  if (remaining.length > 0) {
+    data.projects[key] = remaining;
+  } else {
+    delete data.projects[key];
+  }
+  await writeRules(data);
+  return true;
+}
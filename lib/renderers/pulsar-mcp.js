@@ -8,6 +8,7 @@ import {
   renderPreContent,
 } from "./tool-base";
 import { parseJsonResult, truncateWithCount } from "../utils/result-parsers";
+import { grammarForPath } from "../utils/highlight";
 
 /**
  * MCP Tool renderers for Pulsar integration
@@ -86,7 +87,12 @@ export const renderMcpReadText = createToolRenderer({
       );
     }
     if (!data?.content) return null;
-    return <pre className="tool-content">{truncateWithCount(data.content, 2000)}</pre>;
+    return renderPreContent(
+      truncateWithCount(data.content, 2000),
+      Infinity,
+      "tool-content",
+      grammarForPath(data.path, data.content)
+    );
   },
 });
 
@@ -109,7 +115,13 @@ export const renderMcpWriteText = createToolRenderer({
     };
   },
   hasExpandable: (input) => input?.text?.length > 40,
-  renderContent: (msg) => renderPreContent(msg.input?.text, 500),
+  renderContent: (msg) =>
+    renderPreContent(
+      msg.input?.text,
+      500,
+      "tool-content",
+      grammarForPath(parseMcpResult(msg.result)?.path, msg.input?.text)
+    ),
 });
 
 export const renderMcpOpenFile = createToolRenderer({
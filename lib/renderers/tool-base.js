@@ -2,6 +2,9 @@
 /** @jsx etch.dom */
 
 import etch from "etch";
+import { diffLines, splitLines } from "../utils/diff";
+import { formatDuration } from "../utils/result-parsers";
+import { grammarForPath, highlightCode, renderLineHtml, tokenizeLines } from "../utils/highlight";
 
 /**
  * Tool renderer factory for claude-chat.
@@ -55,6 +58,7 @@ export function createToolRenderer(config) {
             {name}
           </span>
           {renderHeader ? renderHeader(info, input, result, handlers) : renderDefaultHeader(info, handlers)}
+          {renderToolStatus(msg, handlers)}
         </div>
         {expandable && !collapsed && renderContent ? renderContent(msg, handlers) : null}
       </div>
@@ -62,6 +66,33 @@ export function createToolRenderer(config) {
   };
 }
 
+/**
+ * Render the execution state of a tool call: waiting for permission, running
+ * (spinner and live timer) or the recorded duration
+ */
+export function renderToolStatus(msg, handlers) {
+  if (handlers?.isAwaitingPermission?.(msg.id)) {
+    return (
+      <span className="tool-status tool-status-permission">
+        <span className="icon icon-shield" />
+        waiting for permission
+      </span>
+    );
+  }
+  if (handlers?.isToolRunning?.(msg)) {
+    return (
+      <span className="tool-status tool-status-running">
+        <span className="loading loading-spinner-tiny inline-block" />
+        {formatDuration(Date.now() - msg.startedAt)}
+      </span>
+    );
+  }
+  if (msg.duration !== undefined) {
+    return <span className="tool-status tool-duration">{formatDuration(msg.duration)}</span>;
+  }
+  return null;
+}
+
 /**
  * Default header renderer with path and info
  */
@@ -120,42 +151,231 @@ export function renderPathLink(path, line, handlers) {
 
 /**
  * Render truncated pre content
+ * @param {Grammar} grammar - Optional grammar to highlight the content with
  */
-export function renderPreContent(content, maxLength = 500, className = "tool-content") {
+export function renderPreContent(content, maxLength = 500, className = "tool-content", grammar = null) {
   if (!content) return null;
 
+  const text = content.slice(0, maxLength);
+  const more = content.length > maxLength ? "..." : "";
+  if (grammar) {
+    return (
+      <pre
+        className={`${className} syntax-highlighted`}
+        innerHTML={highlightCode(text, grammar) + more}
+      />
+    );
+  }
+
   return (
     <pre className={className}>
-      {content.slice(0, maxLength)}
-      {content.length > maxLength ? "..." : ""}
+      {text}
+      {more}
     </pre>
   );
 }
 
+// `cat -n` style line prefix of Read results: "    12→code" or "    12\tcode"
+const LINE_NUMBER_PREFIX = /^\s*(\d+)(?:\u2192|\t)/;
+
+/**
+ * Render file content with line number prefixes (Read results), highlighting
+ * the code without the prefixes
+ * @param {Grammar} grammar - Grammar of the file, or null for plain text
+ */
+export function renderNumberedContent(content, grammar, className = "tool-content") {
+  if (!content) return null;
+
+  const numbers = [];
+  const code = content.split("\n").map((line) => {
+    const match = line.match(LINE_NUMBER_PREFIX);
+    numbers.push(match ? match[1] : null);
+    return match ? line.slice(match[0].length) : line;
+  });
+
+  const html = tokenizeLines(code.join("\n"), grammar)
+    .map((tokens, i) => {
+      const number = numbers[i] ? `<span class="tool-line-number">${numbers[i]}</span>` : "";
+      return number + renderLineHtml(tokens);
+    })
+    .join("\n");
+
+  return <pre className={`${className} syntax-highlighted`} innerHTML={html} />;
+}
+
+// Unchanged lines kept around changes before the rest is folded
+const DIFF_CONTEXT_LINES = 3;
+// Diff rows rendered per tool call
+const MAX_DIFF_ROWS = 400;
+
+/**
+ * Get the changed character ranges of a modified line pair
+ * @returns {number[][]|null} [oldRange, newRange], or null if the lines share nothing
+ */
+function changedRanges(oldLine, newLine) {
+  let start = 0;
+  while (start < oldLine.length && start < newLine.length && oldLine[start] === newLine[start]) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < oldLine.length - start &&
+    end < newLine.length - start &&
+    oldLine[oldLine.length - 1 - end] === newLine[newLine.length - 1 - end]
+  ) {
+    end++;
+  }
+  if (start === 0 && end === 0) return null;
+  return [
+    [start, oldLine.length - end],
+    [start, newLine.length - end],
+  ];
+}
+
 /**
- * Render diff sections (for Edit tool)
+ * Build the rows of one edit's diff
+ * @param {Object} edit - { old_string, new_string }
+ * @param {string} foldPrefix - Prefix of the fold keys
+ * @param {Object} options - { grammar, startLine, expandedFolds }
+ * @returns {Object[]} Rows: { type, oldNo, newNo, html } or { type: "fold", key, count }
  */
-export function renderDiff(oldStr, newStr, maxLength = 300) {
+function buildDiffRows(edit, foldPrefix, { grammar, startLine, expandedFolds }) {
+  const oldText = edit.old_string || "";
+  const newText = edit.new_string || "";
+  const oldTokens = tokenizeLines(oldText, grammar);
+  const newTokens = tokenizeLines(newText, grammar);
+  const chunks = diffLines(oldText, newText);
+  const lineNo = (index) => (startLine ? startLine + index : null);
+
+  const rows = [];
+  chunks.forEach((chunk, c) => {
+    if (chunk.type === "equal") {
+      const count = chunk.lines.length;
+      const key = `${foldPrefix}:${c}`;
+      const keepStart = c === 0 ? 0 : DIFF_CONTEXT_LINES;
+      const keepEnd = c === chunks.length - 1 ? 0 : DIFF_CONTEXT_LINES;
+      const folded = count > keepStart + keepEnd + 1 && !expandedFolds.includes(key);
+
+      chunk.lines.forEach((line, i) => {
+        if (folded && i >= keepStart && i < count - keepEnd) {
+          if (i === keepStart) rows.push({ type: "fold", key, count: count - keepStart - keepEnd });
+          return;
+        }
+        rows.push({
+          type: "equal",
+          oldNo: lineNo(chunk.oldStart + i),
+          newNo: lineNo(chunk.newStart + i),
+          html: renderLineHtml(newTokens[chunk.newStart + i] || []),
+        });
+      });
+      return;
+    }
+    if (chunk.type === "add" && chunks[c - 1]?.type === "remove") return;
+
+    // Pair a removal with the addition right after it for intra-line highlights
+    const removed = chunk.type === "remove" ? chunk : null;
+    const added = removed ? (chunks[c + 1]?.type === "add" ? chunks[c + 1] : null) : chunk;
+    const marks = [];
+    if (removed && added) {
+      const pairs = Math.min(removed.lines.length, added.lines.length);
+      for (let i = 0; i < pairs; i++) {
+        marks[i] = changedRanges(removed.lines[i], added.lines[i]);
+      }
+    }
+
+    removed?.lines.forEach((line, i) => {
+      rows.push({
+        type: "remove",
+        oldNo: lineNo(removed.oldStart + i),
+        newNo: null,
+        html: renderLineHtml(oldTokens[removed.oldStart + i] || [], marks[i] ? [marks[i][0]] : [], "diff-change"),
+      });
+    });
+    added?.lines.forEach((line, i) => {
+      rows.push({
+        type: "add",
+        oldNo: null,
+        newNo: lineNo(added.newStart + i),
+        html: renderLineHtml(newTokens[added.newStart + i] || [], marks[i] ? [marks[i][1]] : [], "diff-change"),
+      });
+    });
+  });
+  return rows;
+}
+
+function renderDiffRow(row, onExpandFold) {
+  if (row.type === "fold") {
+    return (
+      <div
+        className="diff-fold"
+        title="Show unchanged lines"
+        on={{ click: () => onExpandFold?.(row.key) }}
+      >
+        <span className="icon icon-unfold" />
+        {`${row.count} unchanged line${row.count === 1 ? "" : "s"}`}
+      </div>
+    );
+  }
+
+  const marker = { add: "+", remove: "-", equal: " " }[row.type];
+  return (
+    <div className={`diff-line diff-${row.type}`}>
+      <span className="diff-line-number">{row.oldNo ?? ""}</span>
+      <span className="diff-line-number">{row.newNo ?? ""}</span>
+      <span className="diff-marker">{marker}</span>
+      <span className="diff-code" innerHTML={row.html} />
+    </div>
+  );
+}
+
+/**
+ * Render a unified line diff of Edit-style replacements
+ * @param {Object[]} edits - [{ old_string, new_string, replace_all }]
+ * @param {Object} options
+ * @param {string} options.filePath - Target file, picks the grammar
+ * @param {Array<number|null>} options.startLines - 1-based line of each edit in the file
+ * @param {string[]} options.expandedFolds - Keys of unfolded unchanged regions
+ * @param {Function} options.onExpandFold - (key) => void
+ */
+export function renderDiff(edits, options = {}) {
+  const { filePath, startLines = [], expandedFolds = [], onExpandFold } = options;
+  const sample = edits.map((edit) => edit.new_string || edit.old_string || "").join("\n");
+  const grammar = grammarForPath(filePath, sample);
+
+  let remaining = MAX_DIFF_ROWS;
+  let hidden = 0;
+  const hunks = edits.map((edit, e) => {
+    const startLine = startLines[e] || null;
+    let rows = buildDiffRows(edit, String(e), { grammar, startLine, expandedFolds });
+    if (rows.length > remaining) {
+      hidden += rows.length - Math.max(remaining, 0);
+      rows = rows.slice(0, Math.max(remaining, 0));
+    }
+    remaining -= rows.length;
+
+    let header = null;
+    if (startLine) {
+      const oldCount = splitLines(edit.old_string).length;
+      const newCount = splitLines(edit.new_string).length;
+      header = `@@ -${startLine},${oldCount} +${startLine},${newCount} @@`;
+    } else if (edits.length > 1) {
+      header = `@@ edit ${e + 1} of ${edits.length} @@`;
+    }
+    if (header && edit.replace_all) header += " all occurrences";
+    return { header, rows };
+  });
+
   return (
     <div className="tool-diff">
-      {oldStr ? (
-        <div className="diff-section diff-remove">
-          <span className="diff-marker">-</span>
-          <pre className="diff-content">
-            {oldStr.slice(0, maxLength)}
-            {oldStr.length > maxLength ? "..." : ""}
-          </pre>
-        </div>
-      ) : null}
-      {newStr ? (
-        <div className="diff-section diff-add">
-          <span className="diff-marker">+</span>
-          <pre className="diff-content">
-            {newStr.slice(0, maxLength)}
-            {newStr.length > maxLength ? "..." : ""}
-          </pre>
-        </div>
-      ) : null}
+      {hunks.map(({ header, rows }) =>
+        rows.length > 0 ? (
+          <div className="diff-hunk">
+            {header ? <div className="diff-hunk-header">{header}</div> : null}
+            {rows.map((row) => renderDiffRow(row, onExpandFold))}
+          </div>
+        ) : null
+      )}
+      {hidden > 0 ? <div className="diff-truncated">{`... ${hidden} more lines`}</div> : null}
     </div>
   );
 }
@@ -199,6 +419,7 @@ export function createSimpleToolRenderer(name, getHeaderInfo = () => ({}), class
         ) : null}
         {info.code ? <code className="tool-pattern">{info.code}</code> : null}
         {info.badge ? <span className="tool-block-mode">{info.badge}</span> : null}
+        {renderToolStatus(msg, handlers)}
       </div>
     );
   };
@@ -208,6 +429,8 @@ export default {
   createToolRenderer,
   createSimpleToolRenderer,
   renderPathLink,
+  renderToolStatus,
   renderPreContent,
+  renderNumberedContent,
   renderDiff,
 };
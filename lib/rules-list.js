@@ -0,0 +1,78 @@
+/** @babel */
+
+import BaseList from "./components/base-list";
+import { listRules, removeRule, formatRule } from "./permission-rules";
+import { getBaseName } from "./utils/paths";
+
+/**
+ * RulesList shows saved "always allow" permission rules for review and revocation.
+ * Extends BaseList for common functionality.
+ */
+export default class RulesList extends BaseList {
+  constructor(main) {
+    const self = { showAll: false, items: [], main };
+
+    super({
+      className: "claude-chat-rules",
+      emptyMessage: "No saved permission rules",
+      maxResults: 100,
+      filterKeyForItem: (item) => item.label + " " + item.description,
+      willShow: () => self.instance.loadItems(),
+      didConfirmSelection: () => {},
+      didCancelSelection: () => {
+        self.instance.hide();
+      },
+      listCommands: {
+        "claude-chat:revoke-rule": async () => {
+          const item = self.instance.getSelectedItem();
+          if (!item) return;
+          await removeRule(item.projectPath, item.rule);
+          self.items = self.items.filter((i) => i !== item);
+          self.instance.updateItems(self.items);
+          atom.notifications.addInfo(`Revoked ${item.label}`);
+        },
+        "claude-chat:toggle-all-rules": () => {
+          self.showAll = !self.showAll;
+          self.instance.loadItems();
+        },
+      },
+      workspaceCommands: {
+        "claude-chat:permission-rules": () => self.instance.toggle(),
+      },
+    });
+
+    // Store reference for closures
+    self.instance = this;
+    this._state = self;
+  }
+
+  async loadItems() {
+    const state = this._state;
+
+    this.update({
+      items: [],
+      loadingMessage: "Loading rules...",
+      helpMarkdown:
+        "Saved \"always allow\" rules. Matching permission requests are answered automatically.\n\n" +
+        "Available commands:\n" +
+        "- **Ctrl+D** — Revoke selected rule\n" +
+        "- **Ctrl+0** — Toggle project/global mode " +
+        (state.showAll ? "(P)" : "(G)"),
+    });
+
+    const projectPaths = state.showAll ? [] : atom.project.getPaths();
+    const rules = await listRules(projectPaths);
+
+    state.items = rules.map((rule) => ({
+      label: formatRule(rule),
+      description: `${getBaseName(rule.projectPath)} - added ${new Date(rule.createdAt).toLocaleDateString()}`,
+      projectPath: rule.projectPath,
+      rule,
+    }));
+
+    this.update({
+      items: state.items,
+      loadingMessage: null,
+    });
+  }
+}
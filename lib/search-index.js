@@ -0,0 +1,436 @@
+/** @babel */
+
+import { promises as fs } from "fs";
+import { joinPath, pathsEqual } from "./utils/paths";
+import { getSessionsDir, onDidDeleteSession, onDidSaveSession } from "./session-store";
+import { resultToText } from "./exporter";
+
+/**
+ * Full-text search over saved sessions with an inverted index.
+ *
+ * Each session's entry is stored in its own file in the index directory:
+ * { mtimeMs, updatedAt, projectPaths, title, docs: [[messageIndex, kind]],
+ *   postings: { [token]: docIndex[] } }.
+ * All entries are loaded once into a token -> session -> docs map; afterwards
+ * only sessions that change are re-indexed and written. Sessions saved by this
+ * window are picked up through session-store events, files changed by other
+ * windows by a directory check at most every RECONCILE_INTERVAL.
+ * Message text isn't stored: snippets are read from the session files of the
+ * results shown.
+ */
+
+const INDEX_DIR_NAME = "claude-chat-search-index";
+const INDEX_VERSION = 2;
+
+// Index file of version 1 (one file holding all text), removed on load
+const LEGACY_INDEX_FILE_NAME = "claude-chat-search-index.json";
+
+// Long tool outputs are indexed only up to this many characters
+const MAX_INDEXED_TEXT = 20000;
+
+// How often the sessions directory is compared with the index
+const RECONCILE_INTERVAL = 60000;
+
+// Session documents kept for snippets
+const SNIPPET_CACHE_SIZE = 50;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// In-memory index: null until loaded
+let sessions = null; // sessionId -> entry
+let postings = null; // token -> Map(sessionId -> docIndex[])
+let vocabulary = null; // sorted tokens, rebuilt after changes
+let lastReconcile = 0;
+let loading = null;
+let subscriptions = null;
+
+// Pending writes per index file, so updates of one session don't race
+const writes = new Map();
+
+const snippetCache = new Map();
+
+/**
+ * Get the index directory in Pulsar config (outside the sessions directory,
+ * so listSessions never mistakes its files for sessions)
+ */
+function getIndexDir() {
+  return joinPath(atom.getConfigDirPath(), `${INDEX_DIR_NAME}-v${INDEX_VERSION}`);
+}
+
+function getEntryFile(sessionId) {
+  return joinPath(getIndexDir(), `${sessionId}.json`);
+}
+
+/**
+ * Split text into lowercase word tokens
+ */
+export function tokenize(text) {
+  return String(text || "").toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Extract searchable documents from session messages
+ * @returns {Object[]} { m: message index, k: kind, t: text }
+ */
+function extractDocuments(messages) {
+  const docs = [];
+  const add = (m, k, text) => {
+    if (text) docs.push({ m, k, t: String(text).slice(0, MAX_INDEXED_TEXT) });
+  };
+
+  (messages || []).forEach((msg, i) => {
+    switch (msg.role) {
+      case "user":
+      case "assistant":
+      case "thinking":
+      case "error":
+        add(i, msg.role, msg.content);
+        break;
+      case "tool":
+        add(i, "tool-input", `${msg.name} ${JSON.stringify(msg.input || {})}`);
+        add(i, "tool-result", resultToText(msg.result));
+        break;
+    }
+  });
+  return docs;
+}
+
+/**
+ * Build the index entry of a session
+ */
+function buildEntry(session, mtimeMs) {
+  const docs = extractDocuments(session.messages);
+  const entryPostings = {};
+  docs.forEach((doc, docIndex) => {
+    for (const token of new Set(tokenize(doc.t))) {
+      (entryPostings[token] = entryPostings[token] || []).push(docIndex);
+    }
+  });
+  return {
+    mtimeMs,
+    updatedAt: session.updatedAt,
+    projectPaths: session.projectPaths || [],
+    title: session.title || session.summary || session.firstMessage || "",
+    docs: docs.map((doc) => [doc.m, doc.k]),
+    postings: entryPostings,
+  };
+}
+
+function addToPostings(sessionId, entry) {
+  for (const [token, docIndices] of Object.entries(entry.postings)) {
+    let bySession = postings.get(token);
+    if (!bySession) {
+      bySession = new Map();
+      postings.set(token, bySession);
+    }
+    bySession.set(sessionId, docIndices);
+  }
+}
+
+function removeFromPostings(sessionId, entry) {
+  for (const token of Object.keys(entry.postings)) {
+    const bySession = postings.get(token);
+    if (!bySession) continue;
+    bySession.delete(sessionId);
+    if (bySession.size === 0) postings.delete(token);
+  }
+}
+
+/**
+ * Write a change to an index file, one change at a time
+ * @param {Function} change - Performs the write or removal
+ */
+function queueWrite(sessionId, change) {
+  const file = getEntryFile(sessionId);
+  const write = (writes.get(file) || Promise.resolve()).catch(() => {}).then(change);
+  writes.set(file, write);
+  write
+    .finally(() => {
+      if (writes.get(file) === write) writes.delete(file);
+    })
+    .catch((err) => console.warn(`Failed to update search index for ${sessionId}:`, err));
+  return write;
+}
+
+/**
+ * Replace a session's entry in memory and on disk
+ */
+function setEntry(sessionId, entry) {
+  const previous = sessions.get(sessionId);
+  if (previous) removeFromPostings(sessionId, previous);
+  sessions.set(sessionId, entry);
+  addToPostings(sessionId, entry);
+  vocabulary = null;
+  snippetCache.delete(sessionId);
+
+  return queueWrite(sessionId, async () => {
+    await fs.mkdir(getIndexDir(), { recursive: true });
+    await fs.writeFile(getEntryFile(sessionId), JSON.stringify(entry), "utf8");
+  });
+}
+
+function removeEntry(sessionId) {
+  const previous = sessions.get(sessionId);
+  if (!previous) return Promise.resolve();
+  removeFromPostings(sessionId, previous);
+  sessions.delete(sessionId);
+  vocabulary = null;
+  snippetCache.delete(sessionId);
+
+  return queueWrite(sessionId, () => fs.rm(getEntryFile(sessionId), { force: true }));
+}
+
+/**
+ * Index a session saved by this window
+ */
+async function indexSavedSession(session) {
+  if (!sessions || !session?.sessionId) return;
+  try {
+    const stat = await fs.stat(joinPath(getSessionsDir(), `${session.sessionId}.json`));
+    await setEntry(session.sessionId, buildEntry(session, stat.mtimeMs));
+  } catch (err) {
+    console.warn(`Failed to index session ${session.sessionId}:`, err);
+  }
+}
+
+/**
+ * Load the stored entries into memory
+ */
+async function loadIndex() {
+  sessions = new Map();
+  postings = new Map();
+  vocabulary = null;
+
+  fs.rm(joinPath(atom.getConfigDirPath(), LEGACY_INDEX_FILE_NAME), { force: true }).catch(() => {});
+
+  let files = [];
+  try {
+    files = (await fs.readdir(getIndexDir())).filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  for (const file of files) {
+    const sessionId = file.slice(0, -".json".length);
+    try {
+      const entry = JSON.parse(await fs.readFile(joinPath(getIndexDir(), file), "utf8"));
+      sessions.set(sessionId, entry);
+      addToPostings(sessionId, entry);
+    } catch (err) {
+      // Re-indexed from the session file by the next reconcile
+      console.warn(`Failed to read search index entry ${file}:`, err);
+    }
+  }
+
+  subscriptions = [
+    onDidSaveSession((session) => indexSavedSession(session)),
+    onDidDeleteSession((sessionId) => removeEntry(sessionId)),
+  ];
+}
+
+/**
+ * Re-index session files whose modification time changed and drop entries
+ * of deleted sessions
+ */
+async function reconcile() {
+  const dir = getSessionsDir();
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    files = [];
+  }
+
+  const present = new Set();
+  for (const file of files) {
+    const sessionId = file.slice(0, -".json".length);
+    present.add(sessionId);
+
+    try {
+      const filePath = joinPath(dir, file);
+      const stat = await fs.stat(filePath);
+      if (sessions.get(sessionId)?.mtimeMs === stat.mtimeMs) continue;
+
+      const session = JSON.parse(await fs.readFile(filePath, "utf8"));
+      setEntry(sessionId, buildEntry(session, stat.mtimeMs));
+    } catch (err) {
+      console.warn(`Failed to index session file ${file}:`, err);
+    }
+  }
+
+  for (const sessionId of [...sessions.keys()]) {
+    if (!present.has(sessionId)) removeEntry(sessionId);
+  }
+  lastReconcile = Date.now();
+}
+
+/**
+ * Load the index and bring it up to date with the sessions directory if the
+ * last check is older than RECONCILE_INTERVAL
+ */
+export async function updateIndex({ force = false } = {}) {
+  if (!loading) {
+    loading = loadIndex().catch((err) => {
+      loading = null;
+      throw err;
+    });
+  }
+  await loading;
+  if (force || Date.now() - lastReconcile > RECONCILE_INTERVAL) {
+    await reconcile();
+  }
+}
+
+/**
+ * Get the sessions and documents containing a token starting with term
+ * @returns {Map<string, Set<number>>} sessionId -> doc indices
+ */
+function lookupPrefix(term) {
+  if (!vocabulary) vocabulary = [...postings.keys()].sort();
+
+  // First token >= term
+  let low = 0;
+  let high = vocabulary.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (vocabulary[mid] < term) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches = new Map();
+  for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(term); i++) {
+    for (const [sessionId, docIndices] of postings.get(vocabulary[i])) {
+      let docs = matches.get(sessionId);
+      if (!docs) {
+        docs = new Set();
+        matches.set(sessionId, docs);
+      }
+      docIndices.forEach((d) => docs.add(d));
+    }
+  }
+  return matches;
+}
+
+/**
+ * Keep the documents present in both matches
+ */
+function intersect(a, b) {
+  const result = new Map();
+  for (const [sessionId, docs] of a) {
+    const other = b.get(sessionId);
+    if (!other) continue;
+    const both = new Set([...docs].filter((d) => other.has(d)));
+    if (both.size > 0) result.set(sessionId, both);
+  }
+  return result;
+}
+
+/**
+ * Get the documents of a session, with text, for snippets
+ */
+async function loadDocuments(sessionId) {
+  if (snippetCache.has(sessionId)) return snippetCache.get(sessionId);
+  let docs = [];
+  try {
+    const content = await fs.readFile(joinPath(getSessionsDir(), `${sessionId}.json`), "utf8");
+    docs = extractDocuments(JSON.parse(content).messages);
+  } catch (err) {
+    // Deleted since it was indexed - no snippet
+  }
+  if (snippetCache.size >= SNIPPET_CACHE_SIZE) {
+    snippetCache.delete(snippetCache.keys().next().value);
+  }
+  snippetCache.set(sessionId, docs);
+  return docs;
+}
+
+/**
+ * Build a single-line snippet around the first match
+ */
+function makeSnippet(text, position, length, radius = 50) {
+  const start = Math.max(0, position - radius);
+  const end = Math.min(text.length, position + length + radius);
+  const snippet = text.slice(start, end).replace(/\s+/g, " ").trim();
+  return (start > 0 ? "..." : "") + snippet + (end < text.length ? "..." : "");
+}
+
+/**
+ * Search all indexed sessions; every query term must start a word of the same
+ * message
+ * @param {string} query - Search text (words, case-insensitive)
+ * @param {Object} options - { projectPaths, maxResults }
+ * @returns {Object[]} { sessionId, messageIndex, kind, title, updatedAt, snippet }
+ */
+export async function searchSessions(query, options = {}) {
+  const { projectPaths = [], maxResults = 100 } = options;
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  await updateIndex();
+
+  let matches = null;
+  for (const term of terms) {
+    const termMatches = lookupPrefix(term);
+    matches = matches ? intersect(matches, termMatches) : termMatches;
+    if (matches.size === 0) return [];
+  }
+
+  const results = [];
+  for (const [sessionId, docIndices] of matches) {
+    const entry = sessions.get(sessionId);
+    if (
+      projectPaths.length > 0 &&
+      !entry.projectPaths.some((p) => projectPaths.some((target) => pathsEqual(p, target)))
+    ) {
+      continue;
+    }
+    for (const docIndex of docIndices) {
+      const [messageIndex, kind] = entry.docs[docIndex];
+      results.push({
+        sessionId,
+        docIndex,
+        messageIndex,
+        kind,
+        title: entry.title,
+        updatedAt: entry.updatedAt,
+      });
+    }
+  }
+
+  // Most recent sessions first, then message order
+  results.sort(
+    (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt) || a.messageIndex - b.messageIndex
+  );
+
+  const shown = results.slice(0, maxResults);
+  for (const result of shown) {
+    const doc = (await loadDocuments(result.sessionId))[result.docIndex];
+    const text = doc?.t || "";
+    const position = Math.max(0, text.toLowerCase().indexOf(terms[0]));
+    result.snippet = makeSnippet(text, position, terms[0].length);
+    delete result.docIndex;
+  }
+  return shown;
+}
+
+/**
+ * Stop following session changes and drop the in-memory index
+ */
+export function disposeIndex() {
+  subscriptions?.forEach((subscription) => subscription.dispose());
+  subscriptions = null;
+  sessions = null;
+  postings = null;
+  vocabulary = null;
+  loading = null;
+  lastReconcile = 0;
+  snippetCache.clear();
+}
+
+export default {
+  tokenize,
+  updateIndex,
+  searchSessions,
+  disposeIndex,
+};
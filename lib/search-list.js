@@ -0,0 +1,155 @@
+/** @babel */
+
+import BaseList, { highlightMatches } from "./components/base-list";
+import { disposeIndex, searchSessions } from "./search-index";
+import { createLogger } from "./utils/log";
+
+const log = createLogger("SearchList");
+
+const KIND_LABELS = {
+  user: "You",
+  assistant: "Claude",
+  thinking: "Thinking",
+  error: "Error",
+  "tool-input": "Tool input",
+  "tool-result": "Tool result",
+};
+
+// Wait for typing to settle before searching
+const SEARCH_DELAY = 250;
+
+/**
+ * Find the character indices of query terms in text (for highlighting)
+ */
+function termIndices(text, query) {
+  const lower = text.toLowerCase();
+  const indices = [];
+  for (const term of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+    let pos = lower.indexOf(term);
+    while (pos !== -1) {
+      for (let i = 0; i < term.length; i++) indices.push(pos + i);
+      pos = lower.indexOf(term, pos + term.length);
+    }
+  }
+  return indices;
+}
+
+/**
+ * SearchList searches the content of every saved session (messages, tool
+ * inputs and tool results) and jumps to the matching message.
+ * Extends BaseList for common functionality.
+ */
+export default class SearchList extends BaseList {
+  constructor(main) {
+    const self = { showAll: false, query: "", timeout: null, searchId: 0, main };
+
+    super({
+      className: "claude-chat-search",
+      emptyMessage: "Type to search all chats",
+      maxResults: 100,
+      // Results are already filtered by the full-text search
+      filter: (items) => items,
+      didChangeQuery: (query) => self.instance.scheduleSearch(query),
+      willShow: () => self.instance.resetHelp(),
+      elementForItem: (item) => {
+        const li = document.createElement("li");
+        li.classList.add("two-lines");
+
+        const priBlock = document.createElement("div");
+        priBlock.classList.add("primary-line");
+        priBlock.textContent = item.label;
+        li.appendChild(priBlock);
+
+        const secBlock = document.createElement("div");
+        secBlock.classList.add("secondary-line");
+        secBlock.appendChild(highlightMatches(item.snippet, termIndices(item.snippet, self.query)));
+        li.appendChild(secBlock);
+
+        return li;
+      },
+      didConfirmSelection: async (item) => {
+        self.instance.hide();
+        const panel = await main.openSession(item.sessionId);
+        panel?.revealMessage(item.messageIndex);
+      },
+      didCancelSelection: () => {
+        self.instance.hide();
+      },
+      listCommands: {
+        "claude-chat:toggle-all-sessions": () => {
+          self.showAll = !self.showAll;
+          self.instance.resetHelp();
+          self.instance.scheduleSearch(self.query);
+        },
+      },
+      workspaceCommands: {
+        "claude-chat:search-history": () => self.instance.toggle(),
+      },
+    });
+
+    // Store reference for closures
+    self.instance = this;
+    this._state = self;
+  }
+
+  resetHelp() {
+    this.update({
+      helpMarkdown:
+        "Search messages, tool inputs and tool results of all saved chats " +
+        "(each term has to start a word of the message).\n\n" +
+        "Available commands:\n" +
+        "- **Enter** — Open chat at the matching message\n" +
+        "- **Ctrl+0** — Toggle project/global mode " +
+        (this._state.showAll ? "(P)" : "(G)"),
+    });
+  }
+
+  scheduleSearch(query) {
+    const state = this._state;
+    state.query = query;
+    clearTimeout(state.timeout);
+    state.timeout = setTimeout(() => this.runSearch(query), SEARCH_DELAY);
+  }
+
+  async runSearch(query) {
+    const state = this._state;
+    const searchId = ++state.searchId;
+
+    if (!query.trim()) {
+      this.update({ items: [], loadingMessage: null });
+      return;
+    }
+
+    this.update({ loadingMessage: "Searching..." });
+    const projectPaths = state.showAll ? [] : atom.project.getPaths();
+    let results;
+    try {
+      results = await searchSessions(query, { projectPaths });
+    } catch (err) {
+      if (searchId !== state.searchId) return;
+      log.error("Chat search failed", err.message);
+      this.update({ items: [], loadingMessage: null, emptyMessage: `Search failed: ${err.message}` });
+      return;
+    }
+
+    // Ignore results of a search superseded by newer typing
+    if (searchId !== state.searchId) return;
+
+    const items = results.map((result) => {
+      const date = new Date(result.updatedAt).toLocaleDateString();
+      const title = String(result.title || "(untitled)").replace(/\s+/g, " ").slice(0, 60);
+      return {
+        ...result,
+        label: `${title} — ${KIND_LABELS[result.kind] || result.kind}, ${date}`,
+      };
+    });
+
+    this.update({ items, loadingMessage: null, emptyMessage: "No matches" });
+  }
+
+  destroy() {
+    clearTimeout(this._state.timeout);
+    disposeIndex();
+    super.destroy();
+  }
+}
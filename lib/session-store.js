@@ -1,18 +1,52 @@
 /** @babel */
 
+import { Emitter } from "atom";
 import { promises as fs } from "fs";
 import { joinPath, getBaseName, pathsEqual } from "./utils/paths";
 
 const SESSIONS_DIR_NAME = "claude-chat-sessions";
 
+// Notifies about sessions saved or deleted by this window (see search-index)
+const emitter = new Emitter();
+
+/**
+ * Call back with the saved data whenever a session is saved
+ */
+export function onDidSaveSession(callback) {
+  return emitter.on("did-save-session", callback);
+}
+
+/**
+ * Call back with the session ID whenever a session is deleted
+ */
+export function onDidDeleteSession(callback) {
+  return emitter.on("did-delete-session", callback);
+}
+
+/**
+ * Call back with { fromSessionId, toSessionId } whenever a chat moves to
+ * another session (see moveSession)
+ */
+export function onDidMoveSession(callback) {
+  return emitter.on("did-move-session", callback);
+}
+
 /**
  * Get the sessions directory path in Pulsar config
  */
-function getSessionsDir() {
+export function getSessionsDir() {
   const configDir = atom.getConfigDirPath();
   return joinPath(configDir, SESSIONS_DIR_NAME);
 }
 
+/**
+ * Get the directory holding a session's file checkpoints (next to its file)
+ * @param {string} sessionId - Session ID
+ */
+export function getCheckpointsDir(sessionId) {
+  return joinPath(getSessionsDir(), `${sessionId}.checkpoints`);
+}
+
 /**
  * Ensure sessions directory exists
  */
@@ -42,11 +76,19 @@ export async function saveSession(sessionData) {
     createdAt: sessionData.createdAt || new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     firstMessage: sessionData.firstMessage || "",
+    title: sessionData.title || null,
+    summary: sessionData.summary || null,
+    parentSessionId: sessionData.parentSessionId || null,
+    thinkingBudget: sessionData.thinkingBudget ?? null,
+    model: sessionData.model || null,
     messages: sessionData.messages || [],
     tokenUsage: sessionData.tokenUsage || { input: 0, output: 0 },
+    contextTokens: sessionData.contextTokens || 0,
+    queuedMessages: sessionData.queuedMessages || [],
   };
 
   await fs.writeFile(filePath, JSON.stringify(data, null, 2), "utf8");
+  emitter.emit("did-save-session", data);
   return data;
 }
 
@@ -107,8 +149,12 @@ export async function listSessions(projectPaths = []) {
         createdAt: session.createdAt,
         updatedAt: session.updatedAt,
         firstMessage: session.firstMessage,
+        title: session.title || null,
+        summary: session.summary || null,
+        parentSessionId: session.parentSessionId || null,
         projectPaths: session.projectPaths,
         messageCount: session.messages?.length || 0,
+        tokenUsage: session.tokenUsage || null,
       });
     } catch (err) {
       console.warn(`Failed to read session file ${file}:`, err);
@@ -122,15 +168,18 @@ export async function listSessions(projectPaths = []) {
 }
 
 /**
- * Delete a session from disk
+ * Delete a session (and its file checkpoints) from disk
  * @param {string} sessionId - Session ID to delete
  */
 export async function deleteSession(sessionId) {
   const dir = getSessionsDir();
   const filePath = joinPath(dir, `${sessionId}.json`);
 
+  await fs.rm(getCheckpointsDir(sessionId), { recursive: true, force: true });
+
   try {
     await fs.unlink(filePath);
+    emitter.emit("did-delete-session", sessionId);
     return true;
   } catch (err) {
     if (err.code === "ENOENT") return false;
@@ -138,6 +187,44 @@ export async function deleteSession(sessionId) {
   }
 }
 
+/**
+ * Replace a session by the session its chat continues in: forks of the old
+ * session are re-pointed to the new one, then the old session is deleted
+ * @param {string} fromSessionId - Session the chat was saved as
+ * @param {string} toSessionId - Session the chat is saved as from now on
+ */
+export async function moveSession(fromSessionId, toSessionId) {
+  const dir = getSessionsDir();
+  let files = [];
+  try {
+    files = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  for (const file of files) {
+    if (!file.endsWith(".json")) continue;
+    const filePath = joinPath(dir, file);
+    let session;
+    try {
+      session = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (err) {
+      console.warn(`Failed to read session file ${file}:`, err);
+      continue;
+    }
+    if (session.parentSessionId !== fromSessionId) continue;
+
+    // Written as is, so the fork keeps its place in the history
+    session.parentSessionId = toSessionId;
+    await fs.writeFile(filePath, JSON.stringify(session, null, 2), "utf8");
+    emitter.emit("did-save-session", session);
+  }
+
+  // Open forks save their parent too
+  emitter.emit("did-move-session", { fromSessionId, toSessionId });
+  return deleteSession(fromSessionId);
+}
+
 /**
  * Clear all sessions for given project paths
  * @param {string[]} projectPaths - Filter to sessions containing any of these paths
@@ -168,9 +255,10 @@ export function formatSessionForList(session) {
     " " +
     date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
 
-  const preview = session.firstMessage
-    ? String(session.firstMessage).slice(0, 60) +
-      (session.firstMessage.length > 60 ? "..." : "")
+  // Custom name (claude-chat:rename) wins over summary and first message
+  const text = session.title || session.summary || session.firstMessage;
+  const preview = text
+    ? String(text).slice(0, 60) + (String(text).length > 60 ? "..." : "")
     : "(no messages)";
 
   // Extract folder names from project paths
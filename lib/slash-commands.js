@@ -0,0 +1,161 @@
+/** @babel */
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Slash commands offered in the slash list, gathered from:
+ * - custom commands: Markdown files in <project>/.claude/commands and
+ *   ~/.claude/commands (subdirectories only namespace the source),
+ * - Claude CLI built-ins,
+ * - the slash_commands the CLI reports when it starts (MCP prompts, plugins).
+ *
+ * Command: { name, description, source, argumentHint, takesArguments }
+ */
+
+const COMMANDS_DIR = path.join(".claude", "commands");
+
+// Subdirectory levels searched for custom commands
+const MAX_DEPTH = 3;
+
+/**
+ * Claude CLI built-in commands
+ */
+const BUILTIN_COMMANDS = [
+  {
+    name: "compact",
+    description: "Compact conversation context",
+    argumentHint: "focus instructions for the summary (optional)",
+  },
+  { name: "cost", description: "Show token cost breakdown" },
+  { name: "init", description: "Initialize project configuration" },
+  { name: "pr-comments", description: "Review PR comments" },
+  { name: "release-notes", description: "Generate release notes" },
+  { name: "review", description: "Code review current changes" },
+  { name: "security-review", description: "Security audit of code" },
+].map((command) => ({ source: "built-in", takesArguments: !!command.argumentHint, ...command }));
+
+/**
+ * Split a command file into its YAML front matter (flat keys only) and body
+ */
+function parseCommandFile(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+  const meta = {};
+  if (match) {
+    for (const line of match[1].split(/\r?\n/)) {
+      const field = line.match(/^([\w-]+):\s*(.*)$/);
+      if (field) meta[field[1]] = field[2].trim().replace(/^(["'])(.*)\1$/, "$2");
+    }
+  }
+  return { meta, body: match ? text.slice(match[0].length) : text };
+}
+
+/**
+ * Describe a command by its front matter, or the first line of its prompt
+ */
+function describeCommand(meta, body) {
+  if (meta.description) return meta.description;
+  const line = body.split("\n").find((l) => l.trim()) || "";
+  const text = line.replace(/^#+\s*/, "").trim();
+  return text.length > 100 ? text.slice(0, 100) + "..." : text;
+}
+
+/**
+ * Read the commands of a commands directory
+ * @param {string} dir - Directory of Markdown command files
+ * @param {string} source - "project" or "user"
+ * @param {string[]} namespace - Subdirectories below the commands directory
+ */
+async function readCommandsDir(dir, source, namespace = []) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code !== "ENOENT" && err.code !== "ENOTDIR") {
+      console.warn("Failed to read slash commands:", err);
+    }
+    return [];
+  }
+
+  const commands = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (namespace.length < MAX_DEPTH) {
+        commands.push(...(await readCommandsDir(entryPath, source, [...namespace, entry.name])));
+      }
+      continue;
+    }
+    if (!entry.name.endsWith(".md")) continue;
+
+    try {
+      const { meta, body } = parseCommandFile(await fs.readFile(entryPath, "utf8"));
+      commands.push({
+        name: entry.name.slice(0, -3),
+        description: describeCommand(meta, body),
+        source: namespace.length ? `${source}:${namespace.join("/")}` : source,
+        argumentHint: meta["argument-hint"] || "",
+        takesArguments: !!meta["argument-hint"] || /\$(ARGUMENTS|\d)/.test(body),
+        filePath: entryPath,
+      });
+    } catch (err) {
+      console.warn(`Failed to read slash command ${entryPath}:`, err);
+    }
+  }
+  return commands;
+}
+
+/**
+ * Describe a command the CLI reported that isn't a file or a known built-in.
+ * MCP prompts are named "mcp__<server>__<prompt>".
+ */
+function describeReportedCommand(name) {
+  const mcp = name.match(/^mcp__(.+?)__(.+)$/);
+  if (mcp) {
+    return {
+      name,
+      description: `Prompt "${mcp[2]}" of MCP server ${mcp[1]}`,
+      source: `MCP: ${mcp[1]}`,
+      argumentHint: "arguments (optional)",
+      takesArguments: true,
+    };
+  }
+  return { name, description: "", source: "CLI", argumentHint: "", takesArguments: false };
+}
+
+/**
+ * Gather the slash commands available to a chat. Custom commands are all
+ * listed, also those sharing a name in different directories; built-in and
+ * CLI-reported commands only when no custom command has their name.
+ * @param {string[]} projectPaths - Projects whose .claude/commands are read
+ * @param {string[]} reportedCommands - slash_commands from the CLI init event
+ * @returns {Promise<Object[]>} Commands
+ */
+export async function discoverSlashCommands(projectPaths = [], reportedCommands = []) {
+  const projectCommands = await Promise.all(
+    projectPaths.map((root) => readCommandsDir(path.join(root, COMMANDS_DIR), "project"))
+  );
+  const userCommands = await readCommandsDir(path.join(os.homedir(), COMMANDS_DIR), "user");
+
+  // Keyed by source (with namespace) and name
+  const commands = new Map();
+  const names = new Set();
+  const add = (command) => {
+    const key = `${command.source}/${command.name}`;
+    if (commands.has(key)) return;
+    commands.set(key, command);
+    names.add(command.name);
+  };
+  projectCommands.flat().forEach(add);
+  userCommands.forEach(add);
+
+  const addUnlisted = (command) => {
+    if (!names.has(command.name)) add(command);
+  };
+  BUILTIN_COMMANDS.forEach(addUnlisted);
+  reportedCommands.map((name) => name.replace(/^\//, "")).map(describeReportedCommand).forEach(addUnlisted);
+  return [...commands.values()];
+}
+
+export default { discoverSlashCommands };
@@ -1,19 +1,8 @@
 /** @babel */
 
 import BaseList, { highlightMatches } from "./components/base-list";
-
-/**
- * Available slash commands for Claude CLI
- */
-const SLASH_COMMANDS = [
-  { name: "compact", description: "Compact conversation context" },
-  { name: "cost", description: "Show token cost breakdown" },
-  { name: "init", description: "Initialize project configuration" },
-  { name: "pr-comments", description: "Review PR comments" },
-  { name: "release-notes", description: "Generate release notes" },
-  { name: "review", description: "Code review current changes" },
-  { name: "security-review", description: "Security audit of code" },
-];
+import { promptForText } from "./components/input-dialog";
+import { discoverSlashCommands } from "./slash-commands";
 
 /**
  * SlashList manages the slash command select list.
@@ -22,13 +11,16 @@ const SLASH_COMMANDS = [
 export default class SlashList extends BaseList {
   constructor(main) {
     super({
-      items: SLASH_COMMANDS,
+      items: [],
       className: "claude-chat-slash",
       emptyMessage: "No matching commands",
       maxResults: 20,
 
       filterKeyForItem: (item) => "/" + item.name + " " + item.description,
 
+      // Commands can change between uses (files edited, CLI restarted)
+      willShow: () => this.loadItems(),
+
       elementForItem: (item, { matchIndices }) => {
         const li = document.createElement("li");
         li.classList.add("two-lines");
@@ -37,6 +29,16 @@ export default class SlashList extends BaseList {
         const priBlock = document.createElement("div");
         priBlock.classList.add("primary-line");
         priBlock.appendChild(highlightMatches(`/${item.name}`, matches));
+        if (item.argumentHint) {
+          const hint = document.createElement("span");
+          hint.classList.add("slash-argument-hint");
+          hint.textContent = item.argumentHint;
+          priBlock.appendChild(hint);
+        }
+        const source = document.createElement("span");
+        source.classList.add("slash-source");
+        source.textContent = item.source;
+        priBlock.appendChild(source);
         li.appendChild(priBlock);
 
         const secBlock = document.createElement("div");
@@ -52,28 +54,69 @@ export default class SlashList extends BaseList {
 
       didConfirmSelection: (item) => {
         this.hide();
-        this.sendCommand(item.name);
+        this.sendCommand(item);
       },
 
       didCancelSelection: () => {
         this.hide();
-        main.focusActiveChat();
+        this.getTargetPanel()?.focus();
       },
 
       scopedCommands: {
         ".claude-chat": {
-          "claude-chat:slash-commands": () => this.toggle(),
+          "claude-chat:slash-commands": (e) => {
+            // Remember which chat invoked the list so the command goes there
+            this.targetPanel = main.panelForElement(e.currentTarget);
+            this.toggle();
+          },
         },
       },
     });
 
     this.main = main;
+    this.targetPanel = null;
+  }
+
+  getTargetPanel() {
+    return this.targetPanel || this.main.getActiveChat();
   }
 
-  sendCommand(name) {
-    const panel = this.main.getActiveChat();
-    if (panel) {
-      panel.sendSlashCommand(name);
+  async loadItems() {
+    const panel = this.getTargetPanel();
+    const reported = panel?.slashCommands || [];
+    this.update({ items: [], loadingMessage: "Loading commands..." });
+    const items = await discoverSlashCommands(
+      panel?.projectPaths || atom.project.getPaths(),
+      reported
+    );
+    this.update({
+      items,
+      loadingMessage: null,
+      // The CLI reports its commands when it starts, with the first message
+      helpMarkdown: reported.length
+        ? null
+        : "MCP prompts and plugin commands are listed after the chat's first message.",
+    });
+  }
+
+  /**
+   * Send a command to the target chat, asking for its arguments first
+   */
+  async sendCommand(item) {
+    const panel = this.getTargetPanel();
+    if (!panel) return;
+
+    let args = "";
+    if (item.takesArguments) {
+      args = await promptForText({
+        message: `Arguments for /${item.name}`,
+        placeholder: item.argumentHint || "arguments",
+      });
+      if (args === null) {
+        panel.focus();
+        return;
+      }
     }
+    panel.sendSlashCommand(item.name, args);
   }
 }
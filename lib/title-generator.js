@@ -0,0 +1,93 @@
+/** @babel */
+
+import { spawn } from "child_process";
+import os from "os";
+import Config from "./utils/config";
+
+/**
+ * Chat titles written by the model. The CLI doesn't report a summary on
+ * stream-json output, so a one-off `claude -p` call names the chat after its
+ * first answer.
+ */
+
+const TITLE_MODEL = "haiku";
+
+// Characters of the first prompt and answer sent along
+const MAX_EXCERPT = 2000;
+
+// The call is stopped after this many milliseconds
+const TIMEOUT = 60000;
+
+const MAX_TITLE_LENGTH = 60;
+
+function excerpt(text) {
+  const value = String(text || "").trim();
+  return value.length > MAX_EXCERPT ? value.slice(0, MAX_EXCERPT) + "..." : value;
+}
+
+/**
+ * Clean up the model's reply to a single-line title
+ */
+function toTitle(reply) {
+  const line = reply.split("\n").find((l) => l.trim()) || "";
+  const title = line
+    .trim()
+    .replace(/^(title:\s*)/i, "")
+    .replace(/^["'`*#\s]+|["'`*.\s]+$/g, "");
+  return title.length > MAX_TITLE_LENGTH ? title.slice(0, MAX_TITLE_LENGTH) + "..." : title;
+}
+
+/**
+ * Ask the model for a short title of a conversation
+ * @param {string} prompt - First user message
+ * @param {string} answer - First assistant answer
+ * @returns {Promise<Object>} { title, cost } - title is "" if none came back;
+ *   cost is the call's cost in US dollars
+ */
+export function generateTitle(prompt, answer) {
+  const request =
+    "Write a title of at most six words for the conversation below. " +
+    "Reply with the title only, without quotes or punctuation at the end.\n\n" +
+    `User: ${excerpt(prompt)}\n\nAssistant: ${excerpt(answer)}`;
+
+  return new Promise((resolve, reject) => {
+    // Run outside the project, so its CLAUDE.md and settings don't add to the call
+    const child = spawn(
+      Config.claudePath(),
+      ["-p", "--output-format", "json", "--model", TITLE_MODEL, "--max-turns", "1"],
+      {
+        cwd: os.tmpdir(),
+        env: { ...process.env, MAX_THINKING_TOKENS: "0" },
+        stdio: ["pipe", "pipe", "pipe"],
+      }
+    );
+
+    let stdout = "";
+    let stderr = "";
+    const timer = setTimeout(() => child.kill(), TIMEOUT);
+    child.stdout.on("data", (chunk) => (stdout += chunk.toString()));
+    child.stderr.on("data", (chunk) => (stderr += chunk.toString()));
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      let result;
+      try {
+        result = JSON.parse(stdout);
+      } catch (err) {
+        reject(new Error(stderr.trim() || `Claude CLI exited with code ${code}`));
+        return;
+      }
+      resolve({
+        title: result.is_error ? "" : toTitle(String(result.result || "")),
+        cost: typeof result.total_cost_usd === "number" ? result.total_cost_usd : 0,
+      });
+    });
+
+    child.stdin.end(request);
+  });
+}
+
+export default { generateTitle };
@@ -6,10 +6,14 @@ import {
   createToolRenderer,
   createSimpleToolRenderer,
   renderPathLink,
+  renderToolStatus,
   renderPreContent,
+  renderNumberedContent,
   renderDiff,
 } from "./renderers/tool-base";
 import { MCP_TOOL_RENDERERS } from "./renderers/pulsar-mcp";
+import { getEdits } from "./diff-review";
+import { grammarForLanguage, grammarForPath, grammarForShell, highlightCode } from "./utils/highlight";
 import {
   countNonEmptyLines,
   formatLineCount,
@@ -52,9 +56,12 @@ export const renderToolRead = createToolRenderer({
             <img src={`data:${preview.mediaType};base64,${preview.data}`} alt="Preview" draggable={false} />
           </div>
         ) : null}
-        {hasText ? (
-          <pre className="tool-content">{truncateWithCount(msg.result, 5000)}</pre>
-        ) : null}
+        {hasText
+          ? renderNumberedContent(
+              truncateWithCount(msg.result, 5000),
+              grammarForPath(msg.input?.file_path || msg.input?.path)
+            )
+          : null}
       </div>
     );
   },
@@ -65,15 +72,42 @@ export const renderToolWrite = createToolRenderer({
   className: "write",
   getInfo: (input) => ({ path: input?.file_path }),
   hasExpandable: (input) => (input?.content || "").length > 0,
-  renderContent: (msg) => renderPreContent(msg.input?.content, 500),
+  renderContent: (msg) =>
+    renderPreContent(
+      msg.input?.content,
+      500,
+      "tool-content",
+      grammarForPath(msg.input?.file_path, msg.input?.content)
+    ),
 });
 
+function renderEditDiff(msg, handlers) {
+  return renderDiff(getEdits(msg.name, msg.input), {
+    filePath: msg.input?.file_path,
+    startLines: msg.editLines,
+    expandedFolds: msg.expandedFolds,
+    onExpandFold: (key) => handlers.expandFold(msg.id, key),
+  });
+}
+
 export const renderToolEdit = createToolRenderer({
   name: "Edit",
   className: "edit",
   getInfo: (input) => ({ path: input?.file_path }),
   hasExpandable: (input) => !!(input?.old_string || input?.new_string),
-  renderContent: (msg) => renderDiff(msg.input?.old_string, msg.input?.new_string),
+  renderContent: renderEditDiff,
+});
+
+export const renderToolMultiEdit = createToolRenderer({
+  name: "MultiEdit",
+  className: "edit",
+  getInfo: (input) => ({
+    path: input?.file_path,
+    count: input?.edits?.length,
+    countLabel: "edits",
+  }),
+  hasExpandable: (input) => input?.edits?.length > 0,
+  renderContent: renderEditDiff,
 });
 
 export const renderToolBash = createToolRenderer({
@@ -110,7 +144,10 @@ export const renderToolBash = createToolRenderer({
     return (
       <div className="tool-bash-content">
         <div className="bash-command-section">
-          <pre className="bash-command-text">{command}</pre>
+          <pre
+            className="bash-command-text syntax-highlighted"
+            innerHTML={highlightCode(command, grammarForShell())}
+          />
         </div>
         {hasOutput ? (
           <div className={`bash-output-section ${isError ? "bash-output-error" : ""}`}>
@@ -190,6 +227,7 @@ export function renderToolSearch(msg, index, handlers) {
           </a>
         ) : null}
         {count !== null ? <span className="tool-count">{count} {countLabel}</span> : null}
+        {renderToolStatus(msg, handlers)}
       </div>
       {hasResult && !collapsed ? (
         <div className="search-results">
@@ -276,7 +314,13 @@ export const renderToolNotebook = createToolRenderer({
       {renderPathLink(info.path, null, handlers)}
     </span>
   ),
-  renderContent: (msg) => renderPreContent(msg.input?.new_source, 500),
+  renderContent: (msg) =>
+    renderPreContent(
+      msg.input?.new_source,
+      500,
+      "tool-content",
+      msg.input?.cell_type === "markdown" ? grammarForLanguage("markdown") : null
+    ),
 });
 
 export const renderToolAskUser = createSimpleToolRenderer("Question", (input) => ({
@@ -310,7 +354,7 @@ export function renderToolPlanMode(msg, index) {
   );
 }
 
-export function renderToolDefault(msg, index) {
+export function renderToolDefault(msg, index, handlers) {
   const { name, input, isError } = msg;
   const info = getToolInfo(name, input);
 
@@ -318,6 +362,7 @@ export function renderToolDefault(msg, index) {
     <div className={`message message-tool ${isError ? "tool-error" : ""}`} key={index}>
       <span className="tool-name">{name}</span>
       {info ? <span className="tool-info">{info}</span> : null}
+      {renderToolStatus(msg, handlers)}
     </div>
   );
 }
@@ -346,6 +391,7 @@ export function getToolInfo(name, input) {
 export function toolHasDetails(name, input, result) {
   const checks = {
     Edit: () => input?.old_string || input?.new_string,
+    MultiEdit: () => input?.edits?.length > 0,
     Write: () => input?.content,
     Bash: () => input?.command?.length > 60 || result,
     TodoWrite: () => input?.todos?.length > 0,
@@ -366,6 +412,7 @@ const TOOL_RENDERERS = {
   Read: renderToolRead,
   Write: renderToolWrite,
   Edit: renderToolEdit,
+  MultiEdit: renderToolMultiEdit,
   Bash: renderToolBash,
   TodoWrite: renderToolTodo,
   Glob: renderToolSearch,
@@ -390,5 +437,5 @@ export function renderTool(msg, index, handlers) {
   if (renderer) {
     return renderer(msg, index, handlers);
   }
-  return renderToolDefault(msg, index);
+  return renderToolDefault(msg, index, handlers);
 }
@@ -0,0 +1,97 @@
+/** @babel */
+
+/**
+ * Alternate branches of a conversation (edited prompts, regenerated responses).
+ *
+ * ChatPanel.messages is the live path. Where the conversation branches, the
+ * first message of the live tail (the branch head) carries
+ * `branches = { tails, active }`: every tail from that index on, with `null`
+ * in the slot of the live one. Stored tails keep their own nested branch
+ * points, so switching is just swapping tails.
+ */
+
+/**
+ * Cut the conversation at index, keeping the removed messages as a branch
+ * @param {Object[]} messages - Live messages (modified)
+ * @param {number} index - First message to cut
+ * @returns {Object|null} { data, previous } - branch data for the next head and
+ *   the slot of the removed tail, or null if there was nothing to cut
+ */
+export function detachTail(messages, index) {
+  const tail = messages.splice(index);
+  if (tail.length === 0) return null;
+
+  const head = tail[0];
+  const data = head.branches || { tails: [null], active: 0 };
+  delete head.branches;
+
+  const previous = data.active;
+  data.tails[previous] = tail;
+  data.tails.push(null);
+  data.active = data.tails.length - 1;
+  return { data, previous };
+}
+
+/**
+ * Put a detached tail back, dropping the (empty) branch started in its place
+ * @param {Object[]} messages - Live messages, cut at the branch point (modified)
+ * @param {Object} detached - Result of detachTail
+ */
+export function restoreTail(messages, { data, previous }) {
+  const tail = data.tails[previous];
+  data.tails.splice(data.active, 1);
+  data.tails[previous] = null;
+  data.active = previous;
+  if (data.tails.length > 1) {
+    tail[0].branches = data;
+  }
+  messages.push(...tail);
+}
+
+/**
+ * Make another tail of a branch point live
+ * @param {Object[]} messages - Live messages (modified)
+ * @param {number} index - Index of the branch head
+ * @param {number} target - Slot of the tail to show
+ * @returns {boolean} Whether the live path changed
+ */
+export function switchBranch(messages, index, target) {
+  const data = messages[index]?.branches;
+  if (!data || target === data.active || !data.tails[target]) return false;
+
+  const tail = messages.splice(index);
+  delete tail[0].branches;
+  data.tails[data.active] = tail;
+
+  const next = data.tails[target];
+  data.tails[target] = null;
+  data.active = target;
+  next[0].branches = data;
+  messages.push(...next);
+  return true;
+}
+
+/**
+ * Find where the CLI session has to be resumed to continue before index
+ * @param {Object[]} messages - Live messages
+ * @param {number} index - Position the conversation continues from
+ * @returns {Object|null} { sessionId, resumeAt } (both null when nothing precedes
+ *   index), or null if no resume point was recorded for the earlier messages
+ */
+export function getResumePoint(messages, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    const msg = messages[i];
+    if (msg.resumeUuid) {
+      return { sessionId: msg.resumeSessionId || null, resumeAt: msg.resumeUuid };
+    }
+  }
+  const hasEarlierTurn = messages.slice(0, index).some((m) => m.role === "user");
+  return hasEarlierTurn ? null : { sessionId: null, resumeAt: null };
+}
+
+export default {
+  detachTail,
+  restoreTail,
+  switchBranch,
+  getResumePoint,
+};
@@ -7,6 +7,16 @@
 
 const CONFIG_PREFIX = "claude-chat";
 
+/**
+ * Full model IDs offered next to the aliases
+ */
+export const MODEL_IDS = [
+  "claude-sonnet-4-5-20250929",
+  "claude-opus-4-1-20250805",
+  "claude-haiku-4-5-20251001",
+  "claude-sonnet-4-20250514",
+];
+
 /**
  * Get a config value with optional default
  */
@@ -45,6 +55,40 @@ export const Config = {
   claudePath: () => get("claudePath", "claude"),
   model: () => get("model", "default"),
 
+  // Name chats with a model-written title after their first answer
+  generateTitles: () => get("generateTitles", true),
+
+  // Models offered in the chat toolbar (aliases, then full model IDs);
+  // any other model is entered as Custom...
+  models: [
+    { value: "default", label: "Default model" },
+    { value: "sonnet", label: "Sonnet (latest)" },
+    { value: "opus", label: "Opus (latest)" },
+    { value: "haiku", label: "Haiku (latest)" },
+    ...MODEL_IDS.map((id) => ({ value: id, label: id })),
+  ],
+
+  // Extended thinking budget for new chats (0 = off)
+  thinkingBudget: () => get("thinkingBudget", 0),
+
+  // Effort levels offered in the chat toolbar, as thinking budgets
+  // (the CLI's "think", "think hard" and "ultrathink" budgets)
+  efforts: [
+    { value: 0, label: "No thinking" },
+    { value: 4000, label: "Low effort" },
+    { value: 10000, label: "Medium effort" },
+    { value: 31999, label: "High effort" },
+  ],
+
+  // Budgets in USD (0 = no limit) and what happens when one is exceeded
+  sessionBudget: () => get("sessionBudget", 0),
+  dailyProjectBudget: () => get("dailyProjectBudget", 0),
+  budgetAction: () => get("budgetAction", "warn"),
+
+  // Context window fill (percent, 0 = off) that warns, and that offers /compact more urgently
+  contextWarningThreshold: () => get("contextWarningThreshold", 70),
+  contextCompactThreshold: () => get("contextCompactThreshold", 85),
+
   // Permission mode
   permissionMode: () => get("permissionMode", "default"),
 
@@ -0,0 +1,158 @@
+/** @babel */
+
+/**
+ * Line diff utilities for claude-chat package.
+ * Myers O((N+M)D) diff, used for permission review and Edit rendering.
+ */
+
+// Above this many differing lines the diff degrades to remove-all/add-all
+const MAX_DIFF_LINES = 20000;
+
+/**
+ * Split text into lines (keeps a trailing empty line if text ends with newline)
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  return String(text).split("\n");
+}
+
+/**
+ * Myers shortest edit script between two line arrays
+ * @returns {Object[]} Ops in order: { type: "equal"|"add"|"remove", line }
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  outer: for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  // Backtrack through the trace to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const tv = trace[d];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && tv[offset + k - 1] < tv[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = tv[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: "equal", line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: "add", line: b[y - 1] });
+      } else {
+        ops.push({ type: "remove", line: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Compute a line diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @returns {Object[]} Chunks: { type, lines, oldStart, newStart } (0-based line indices)
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Trim common prefix/suffix - most edits touch a small region
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+
+  let middle;
+  if (midA.length + midB.length > MAX_DIFF_LINES) {
+    middle = [
+      ...midA.map((line) => ({ type: "remove", line })),
+      ...midB.map((line) => ({ type: "add", line })),
+    ];
+  } else {
+    middle = myers(midA, midB);
+  }
+
+  const ops = [
+    ...a.slice(0, prefix).map((line) => ({ type: "equal", line })),
+    ...middle,
+    ...a.slice(a.length - suffix).map((line) => ({ type: "equal", line })),
+  ];
+
+  // Merge consecutive ops into chunks with line positions
+  const chunks = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const op of ops) {
+    let chunk = chunks[chunks.length - 1];
+    if (!chunk || chunk.type !== op.type) {
+      chunk = { type: op.type, lines: [], oldStart: oldLine, newStart: newLine };
+      chunks.push(chunk);
+    }
+    chunk.lines.push(op.line);
+    if (op.type !== "add") oldLine++;
+    if (op.type !== "remove") newLine++;
+  }
+
+  return chunks;
+}
+
+/**
+ * Count added/removed lines between two texts
+ * @returns {{ added: number, removed: number }}
+ */
+export function countChanges(oldText, newText) {
+  let added = 0;
+  let removed = 0;
+  for (const chunk of diffLines(oldText, newText)) {
+    if (chunk.type === "add") added += chunk.lines.length;
+    if (chunk.type === "remove") removed += chunk.lines.length;
+  }
+  return { added, removed };
+}
+
+export default {
+  splitLines,
+  diffLines,
+  countChanges,
+};
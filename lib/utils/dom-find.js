@@ -0,0 +1,64 @@
+/** @babel */
+
+/**
+ * DOM text search helpers for the in-panel find bar.
+ * Matches are returned as Ranges so the rendered DOM (owned by etch)
+ * is never modified; highlights are drawn in a separate overlay.
+ */
+
+/**
+ * Find case-insensitive occurrences of query in text nodes under root
+ * @param {Element} root - Element to search
+ * @param {string} query - Text to find
+ * @param {string} excludeSelector - Skip text inside elements matching this selector
+ * @returns {Range[]} Ranges in document order
+ */
+export function findTextRanges(root, query, excludeSelector = null) {
+  const ranges = [];
+  if (!root || !query) return ranges;
+
+  const needle = query.toLowerCase();
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => {
+      if (excludeSelector && node.parentElement?.closest(excludeSelector)) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    },
+  });
+
+  let node;
+  while ((node = walker.nextNode())) {
+    const text = node.nodeValue.toLowerCase();
+    let pos = text.indexOf(needle);
+    while (pos !== -1) {
+      const range = document.createRange();
+      range.setStart(node, pos);
+      range.setEnd(node, pos + needle.length);
+      ranges.push(range);
+      pos = text.indexOf(needle, pos + needle.length);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Get the rectangles of a range relative to a scroll container's content
+ * @returns {Object[]} { top, left, width, height }
+ */
+export function rangeRects(range, container) {
+  const base = container.getBoundingClientRect();
+  return Array.from(range.getClientRects())
+    .filter((rect) => rect.width > 0 && rect.height > 0)
+    .map((rect) => ({
+      top: rect.top - base.top + container.scrollTop,
+      left: rect.left - base.left + container.scrollLeft,
+      width: rect.width,
+      height: rect.height,
+    }));
+}
+
+export default {
+  findTextRanges,
+  rangeRects,
+};
@@ -0,0 +1,108 @@
+/** @babel */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { escapeHtml } from "./highlight";
+
+/**
+ * Turn file references in rendered markdown ("lib/chat-panel.js:652",
+ * "/abs/path.js:3:7") into links. Only references to existing files are
+ * linked; clicks are handled by ChatPanel through the data attributes.
+ */
+
+// Path (absolute, ~/, ./ or relative) with optional :line and :column
+const FILE_REFERENCE =
+  /(?<![\w/\\.:@~-])((?:[A-Za-z]:[\\/]|~\/|\.{0,2}\/)?(?:[\w@+.-]+[\\/])*[\w@+-][\w@+.-]*)(?::(\d+)(?::(\d+))?)?/g;
+
+// How long file existence checks are cached; messages re-render often
+const CACHE_TTL = 10000;
+const cache = new Map();
+
+function isFile(filePath) {
+  const cached = cache.get(filePath);
+  if (cached && Date.now() - cached.time < CACHE_TTL) return cached.exists;
+
+  let exists = false;
+  try {
+    exists = fs.statSync(filePath).isFile();
+  } catch (err) {
+    exists = false;
+  }
+  if (cache.size > 1000) cache.clear();
+  cache.set(filePath, { exists, time: Date.now() });
+  return exists;
+}
+
+/**
+ * Resolve a path reference to an existing file
+ * @param {string} reference - Path as written
+ * @param {string[]} projectPaths - Roots relative paths are resolved against
+ * @returns {string|null} Absolute path, or null if no such file exists
+ */
+export function resolveFileReference(reference, projectPaths = []) {
+  if (reference.startsWith("~/")) {
+    const filePath = path.join(os.homedir(), reference.slice(2));
+    return isFile(filePath) ? filePath : null;
+  }
+  if (path.isAbsolute(reference)) {
+    return isFile(reference) ? path.normalize(reference) : null;
+  }
+  for (const root of projectPaths) {
+    const filePath = path.resolve(root, reference);
+    if (isFile(filePath)) return filePath;
+  }
+  return null;
+}
+
+function linkText(text, projectPaths) {
+  return text.replace(FILE_REFERENCE, (match, reference, line, column) => {
+    // Sentence punctuation is not part of the path
+    const trimmed = reference.replace(/\.+$/, "");
+    if (!/[\\/]|\.[A-Za-z]/.test(trimmed)) return match;
+    if (trimmed !== reference && line) return match;
+
+    const filePath = resolveFileReference(trimmed, projectPaths);
+    if (!filePath) return match;
+
+    const linked = line ? match : trimmed;
+    const rest = match.slice(linked.length);
+    const location = line ? `:${line}${column ? `:${column}` : ""}` : "";
+    return (
+      `<a class="file-reference" href="#" title="${escapeHtml(filePath + location)}"` +
+      ` data-file-path="${escapeHtml(filePath)}"` +
+      (line ? ` data-line="${line}"` : "") +
+      (column ? ` data-column="${column}"` : "") +
+      `>${linked}</a>${rest}`
+    );
+  });
+}
+
+/**
+ * Link file references in HTML text, leaving code blocks and links alone
+ * @param {string} html - Rendered markdown
+ * @param {string[]} projectPaths - Roots relative paths are resolved against
+ * @returns {string} HTML
+ */
+export function linkFileReferences(html, projectPaths = []) {
+  if (!html) return html;
+
+  let skipDepth = 0;
+  return html
+    .split(/(<[^>]*>)/)
+    .map((part) => {
+      const tag = part.match(/^<(\/?)(pre|a)\b/i);
+      if (tag) {
+        skipDepth += tag[1] ? -1 : 1;
+        return part;
+      }
+      if (part.startsWith("<") || skipDepth > 0 || !part) return part;
+      return linkText(part, projectPaths);
+    })
+    .join("");
+}
+
+export default {
+  resolveFileReference,
+  linkFileReferences,
+};
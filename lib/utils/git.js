@@ -0,0 +1,67 @@
+/** @babel */
+
+import { execFile } from "child_process";
+import path from "path";
+
+/**
+ * Git helpers for claude-chat package.
+ * Runs the git executable, since Pulsar's repository API cannot stage files.
+ */
+
+function runGit(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile("git", args, { cwd }, (err, stdout, stderr) => {
+      if (err) {
+        reject(new Error(stderr.trim() || err.message));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * Check whether a file lies inside a folder (not in a sibling sharing its prefix)
+ */
+function isInside(folder, file) {
+  const relative = path.relative(folder, file);
+  return !!relative && !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+/**
+ * Stage files (including deletions) in the repositories of their project folders.
+ * Files outside every project folder are left alone.
+ * @param {string[]} files - Absolute file paths
+ * @param {string[]} projectPaths - Project folders (git working directories)
+ * @returns {Promise<Object>} { staged, skipped } - file paths
+ */
+export async function stageFiles(files, projectPaths) {
+  const groups = new Map();
+  const staged = [];
+  const skipped = [];
+  for (const file of files) {
+    // The innermost folder, for projects nested in one another
+    const root = projectPaths
+      .filter((p) => isInside(p, file))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!root) {
+      skipped.push(file);
+      continue;
+    }
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(file);
+  }
+
+  for (const [cwd, group] of groups) {
+    await runGit(["add", "-A", "--", ...group], cwd);
+    staged.push(...group);
+  }
+
+  // Refresh git status shown in tree-view and status bar
+  for (const repo of atom.project.getRepositories()) {
+    repo?.refreshStatus?.();
+  }
+  return { staged, skipped };
+}
+
+export default { stageFiles };
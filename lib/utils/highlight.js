@@ -0,0 +1,184 @@
+/** @babel */
+
+/**
+ * Syntax highlighting with Pulsar's grammars for claude-chat.
+ * Code is tokenized with the TextMate version of a grammar (synchronous, so it
+ * can run while rendering) and turned into nested spans with the `syntax--`
+ * classes syntax themes style, so highlighting follows the active theme.
+ */
+
+// Tokenized lines per grammar and text; renderers run on every update
+const CACHE_SIZE = 200;
+const cache = new Map();
+
+const NULL_SCOPE = "text.plain.null-grammar";
+
+/**
+ * Get the TextMate grammar for a grammar (Tree-sitter grammars can't tokenize
+ * synchronously, so their TextMate counterpart is used)
+ * @returns {Grammar|null}
+ */
+function toTextMate(grammar) {
+  if (!grammar || grammar.scopeName === NULL_SCOPE) return null;
+  if (typeof grammar.tokenizeLines === "function") return grammar;
+  return atom.grammars.textmateRegistry?.grammarForScopeName(grammar.scopeName) || null;
+}
+
+function getTextMateGrammars() {
+  const registry = atom.grammars.textmateRegistry || atom.grammars;
+  return registry.getGrammars().filter((g) => typeof g.tokenizeLines === "function");
+}
+
+/**
+ * Get the grammar for a file
+ * @param {string} filePath - Path used to pick the grammar
+ * @param {string} text - Content, for grammars selected by first line
+ * @returns {Grammar|null}
+ */
+export function grammarForPath(filePath, text = "") {
+  if (!filePath) return null;
+  return toTextMate(atom.grammars.selectGrammar(filePath, text));
+}
+
+/**
+ * Get the grammar for a language name, e.g. a markdown fence info string
+ * @param {string} language - Name, alias or file extension ("js", "Python", "sh")
+ * @returns {Grammar|null}
+ */
+export function grammarForLanguage(language) {
+  const lang = (language || "").trim().toLowerCase();
+  if (!lang) return null;
+  const grammars = getTextMateGrammars();
+  const grammar =
+    grammars.find((g) => g.name?.toLowerCase() === lang) ||
+    grammars.find((g) => g.scopeName === `source.${lang}` || g.scopeName === `text.${lang}`) ||
+    grammars.find((g) => g.fileTypes?.includes(lang));
+  return toTextMate(grammar);
+}
+
+/**
+ * Get the grammar shell commands are highlighted with
+ */
+export function grammarForShell() {
+  return toTextMate(atom.grammars.grammarForScopeName("source.shell"));
+}
+
+/**
+ * Tokenize text into lines of tokens
+ * @returns {Object[][]} Per line: [{ value, scopes }]
+ */
+export function tokenizeLines(text, grammar) {
+  const content = String(text ?? "");
+  if (!grammar) {
+    return content.split("\n").map((line) => [{ value: line, scopes: [] }]);
+  }
+
+  const key = `${grammar.scopeName}\0${content}`;
+  if (cache.has(key)) return cache.get(key);
+
+  let lines;
+  try {
+    lines = grammar.tokenizeLines(content);
+  } catch (err) {
+    lines = content.split("\n").map((line) => [{ value: line, scopes: [] }]);
+  }
+
+  if (cache.size >= CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, lines);
+  return lines;
+}
+
+export function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function scopeClass(scope) {
+  return scope
+    .split(".")
+    .map((part) => `syntax--${part.replace(/[^\w-]/g, "")}`)
+    .join(" ");
+}
+
+/**
+ * Render one line of tokens as HTML
+ * @param {Object[]} tokens - Tokens of the line
+ * @param {number[][]} marks - Optional [start, end) character ranges wrapped in
+ *   `<span class="className">`
+ * @param {string} className - Class of the mark spans
+ * @returns {string} HTML
+ */
+export function renderLineHtml(tokens, marks = [], className = "highlight-mark") {
+  let html = "";
+  const open = [];
+  let offset = 0;
+
+  for (const token of tokens) {
+    // Keep spans of scopes shared with the previous token open
+    let common = 0;
+    while (
+      common < open.length &&
+      common < token.scopes.length &&
+      open[common] === token.scopes[common]
+    ) {
+      common++;
+    }
+    while (open.length > common) {
+      open.pop();
+      html += "</span>";
+    }
+    for (const scope of token.scopes.slice(common)) {
+      open.push(scope);
+      html += `<span class="${scopeClass(scope)}">`;
+    }
+
+    html += renderMarkedText(token.value, offset, marks, className);
+    offset += token.value.length;
+  }
+
+  html += "</span>".repeat(open.length);
+  return html;
+}
+
+function renderMarkedText(value, offset, marks, className) {
+  if (!marks.length) return escapeHtml(value);
+
+  let html = "";
+  let pos = 0;
+  for (const [start, end] of marks) {
+    const from = Math.max(start - offset, pos);
+    const to = Math.min(end - offset, value.length);
+    if (to <= from) continue;
+    html += escapeHtml(value.slice(pos, from));
+    html += `<span class="${className}">${escapeHtml(value.slice(from, to))}</span>`;
+    pos = to;
+  }
+  return html + escapeHtml(value.slice(pos));
+}
+
+/**
+ * Highlight text as HTML
+ * @param {string} text - Code
+ * @param {Grammar|null} grammar - Grammar to use (plain escaped text if null)
+ * @returns {string} HTML, lines separated by newlines
+ */
+export function highlightCode(text, grammar) {
+  return tokenizeLines(text, grammar)
+    .map((tokens) => renderLineHtml(tokens))
+    .join("\n");
+}
+
+export default {
+  grammarForPath,
+  grammarForLanguage,
+  grammarForShell,
+  tokenizeLines,
+  escapeHtml,
+  renderLineHtml,
+  highlightCode,
+};
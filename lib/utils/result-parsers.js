@@ -60,6 +60,16 @@ export function truncateWithCount(text, maxLength = 500) {
   return `${text.slice(0, maxLength)}\n... (${remaining} more chars)`;
 }
 
+/**
+ * Format a duration in milliseconds ("0.4s", "12s", "2m 05s")
+ */
+export function formatDuration(ms) {
+  if (ms < 10000) return `${(ms / 1000).toFixed(1)}s`;
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+}
+
 /**
  * Truncate path from beginning, keeping end visible
  * Shows "...rest/of/path" format for long paths
@@ -217,6 +227,7 @@ export default {
   formatLineCount,
   truncate,
   truncateWithCount,
+  formatDuration,
   truncatePath,
   parseJsonResult,
   safeParseJson,
@@ -0,0 +1,66 @@
+/** @babel */
+
+import { ruleMatches } from "../lib/permission-rules";
+
+describe("permission rules", () => {
+  const projectPath = "/proj";
+  const editRule = (ruleContent) => ({ toolName: "Edit", ruleContent });
+  const editOf = (filePath) => ({ file_path: filePath });
+
+  describe("path globs", () => {
+    it("matches **/ at any directory depth, including none", () => {
+      const rule = editRule("**/config.json");
+      expect(ruleMatches(rule, "Edit", editOf("/proj/config.json"), projectPath)).toBe(true);
+      expect(ruleMatches(rule, "Edit", editOf("/proj/src/config.json"), projectPath)).toBe(true);
+      expect(ruleMatches(rule, "Write", editOf("/proj/a/b/config.json"), projectPath)).toBe(true);
+    });
+
+    it("doesn't let **/ match a file name that only ends with the pattern", () => {
+      const rule = editRule("**/config.json");
+      expect(ruleMatches(rule, "Edit", editOf("/proj/myconfig.json"), projectPath)).toBe(false);
+      expect(ruleMatches(rule, "Edit", editOf("/proj/src/myconfig.json"), projectPath)).toBe(false);
+    });
+
+    it("doesn't let dir/**/ match a sibling directory sharing its prefix", () => {
+      const rule = editRule("src/**/*.js");
+      expect(ruleMatches(rule, "Edit", editOf("/proj/src/a.js"), projectPath)).toBe(true);
+      expect(ruleMatches(rule, "Edit", editOf("/proj/src/lib/a.js"), projectPath)).toBe(true);
+      expect(ruleMatches(rule, "Edit", editOf("/proj/src2/a.js"), projectPath)).toBe(false);
+      expect(ruleMatches(rule, "Edit", editOf("/proj/srcfoo/lib/a.js"), projectPath)).toBe(false);
+    });
+
+    it("matches a bare ** across directories", () => {
+      const rule = editRule("docs/**");
+      expect(ruleMatches(rule, "Edit", editOf("/proj/docs/a/b.md"), projectPath)).toBe(true);
+      expect(ruleMatches(rule, "Edit", editOf("/proj/docs2/b.md"), projectPath)).toBe(false);
+    });
+
+    it("keeps * within one directory", () => {
+      const rule = editRule("src/*.js");
+      expect(ruleMatches(rule, "Edit", editOf("/proj/src/a.js"), projectPath)).toBe(true);
+      expect(ruleMatches(rule, "Edit", editOf("/proj/src/lib/a.js"), projectPath)).toBe(false);
+    });
+
+    it("never matches files outside the project", () => {
+      const rule = editRule("**/config.json");
+      expect(ruleMatches(rule, "Edit", editOf("/proj2/config.json"), projectPath)).toBe(false);
+      expect(ruleMatches(rule, "Edit", editOf("/other/config.json"), projectPath)).toBe(false);
+    });
+  });
+
+  describe("Bash prefixes", () => {
+    it("matches commands starting with the prefix", () => {
+      const rule = { toolName: "Bash", ruleContent: "npm test:*" };
+      expect(ruleMatches(rule, "Bash", { command: "npm test" }, projectPath)).toBe(true);
+      expect(ruleMatches(rule, "Bash", { command: "npm test -- --watch" }, projectPath)).toBe(true);
+      expect(ruleMatches(rule, "Bash", { command: "npm testing" }, projectPath)).toBe(false);
+    });
+
+    it("doesn't match chained or redirected commands", () => {
+      const rule = { toolName: "Bash", ruleContent: "npm test:*" };
+      expect(ruleMatches(rule, "Bash", { command: "npm test && rm -rf /" }, projectPath)).toBe(false);
+      expect(ruleMatches(rule, "Bash", { command: "npm test > out.txt" }, projectPath)).toBe(false);
+      expect(ruleMatches(rule, "Bash", { command: "npm test $(whoami)" }, projectPath)).toBe(false);
+    });
+  });
+});